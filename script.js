@@ -1,8 +1,8 @@
 /**
  * ADVANCED ANTI-DEBUGGING AND TAMPERING PROTECTION SCRIPT
- * 
+ *
  * RESEARCH AND EDUCATION PURPOSES ONLY
- * 
+ *
  * This script implements multiple sophisticated layers of protection against:
  * - Debugging attempts
  * - DevTools detection
@@ -16,7 +16,7 @@
  * - Error stack manipulation
  * - Web Worker monitoring
  * - Event listener interception
- * 
+ *
  * Features include:
  * 1. Window size difference detection
  * 2. Time-based debugging detection
@@ -28,508 +28,4142 @@
  * 8. Multiple redundant protection layers
  * 9. DOMRect dimensions analysis
  * 10. CSS property inspection for DevTools elements
- * 11. Iframe sandbox detection
+ * 11. Framing policy for embedded pages
  * 12. Error stack analysis
  * 13. Mutation observer traps
  * 14. Web Worker messaging interception
  * 15. Symbol key property protection
  * 16. Shadow DOM element inspection traps
+ *
+ * Usage:
+ * Loading this file has no side effects. It is packaged as UMD, so it can be
+ * required (CommonJS), loaded through an AMD loader, imported by a bundler or
+ * included with a plain <script> tag (exposed as `ChromiumBrowserDetection`).
+ * Protection starts only when `init(options)` is called:
+ *
+ *     ChromiumBrowserDetection.init({
+ *         detectors: { userAgent: false },      // or ['windowSize', 'clockSkew']
+ *         intervals: { primary: 250 },          // ms, or [min, max] for jitter
+ *         thresholds: { windowSizeDelta: 160 },
+ *         response: ['report', 'notice']        // or a callback, see RESPONSE_POLICIES
+ *     });
  */
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChromiumBrowserDetection = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+// ==================== CONFIGURATION ====================
+
+const DEFAULT_OPTIONS = {
+    // Detector name -> enabled flag. Every detector runs unless disabled here.
+    detectors: {},
+
+    // false keeps detectors from replacing anything shared with the page's own
+    // code: detectors marked `invasive` in DETECTORS are disabled, and the
+    // others use traps on objects they created themselves or properties they
+    // added. `init` returns what is given up.
+    invasive: true,
+
+    // Tier intervals in milliseconds, listed by scheduling priority. A
+    // [min, max] pair is re-randomized on every run so the schedule can't be
+    // pattern matched.
+    intervals: {
+        primary: 500,
+        secondary: [50, 100],
+        tertiary: 1000,
+        quaternary: [2000, 5000],
+        breakpoints: 5000,
+        codeModification: 10000,
+        emulatedEnvironment: 15000
+    },
+
+    // Timing thresholds are the least a sample must exceed this device's median
+    // by, on top of the `timing.sigma` rule, see TIMING BASELINES
+    thresholds: {
+        windowSizeDelta: 99,        // px a docked panel takes from the viewport
+        outerSizeTolerance: 1,      // px the outer window may change without counting as a resize
+        clockSkew: 9,               // ms between Date and performance clocks
+        executionTime: 1,           // ms over the median for a trivial toString() call
+        stackDepth: 10,             // frames in a synthetic error stack
+        workerTimeDrift: 100,       // ms over the median drift between worker and main thread clocks
+        mainThreadStall: 1000,      // ms over the median the main thread may lag worker heartbeats by
+        propertyAccessTime: 15,     // ms over the median to walk a nested object
+        breakpointTime: 5,          // ms over the median for a short loop
+        frameDuration: 100,         // ms over the median for a single animation frame
+        suspiciousFrames: 3,        // slow frames tolerated before triggering
+        versionDrift: 2,            // releases the claimed Chromium version may lie outside the probed range
+        violationCount: 3           // decayed past violations before the history adds to the score
+    },
+
+    // Per-device statistics timing detectors judge their samples by
+    timing: {
+        warmup: 10,                 // samples per metric collected before any is judged
+        window: 50,                 // most recent samples the median and MAD are taken from
+        sigma: 5,                   // robust standard deviations above the median that make an outlier
+        settle: 1000                // ms after a visibility change before samples count again
+    },
+
+    // Heartbeats of the webWorker detector's worker
+    heartbeat: {
+        interval: 250               // ms between heartbeats
+    },
+
+    // CPU limits for the interval tiers, see createScheduler
+    scheduler: {
+        budget: 50,                 // ms of detector run time per second
+        idleTimeout: 1000,          // ms a due check may wait for an idle period
+        longTaskBackoff: 2,         // interval multiplier per observed Long Task
+        maxBackoff: 8,              // upper bound of the interval multiplier
+        backoffRecovery: 10000      // ms without Long Tasks before the multiplier steps down
+    },
+
+    // Response policies applied when protection triggers, see RESPONSE_POLICIES.
+    // Accepts a policy name, a callback function, an array of policy names or
+    // a full object: { policies, cooldown, callback, notice, redirectUrl, signOut, shield }
+    response: {
+        policies: ['report'],
+        cooldown: 30000,            // ms per policy, or { policyName: ms }
+        callback: null,             // 'callback' policy: function(event)
+        notice: 'This page has detected unusual activity and some features may be unavailable.',
+        redirectUrl: null,          // 'redirect' policy target
+        signOut: null,              // 'signout' policy hook: function(event)
+        shield: {                   // 'shield' policy, see CONTENT SHIELD
+            mode: 'blur',           // 'blur', 'hide' or 'placeholder', unless data-protect names one
+            placeholder: 'This content is hidden to protect it.',
+            recheck: 1000,          // ms between checks whether the score has dropped
+            shieldedMessage: 'Protected content on this page has been hidden.',
+            restoredMessage: 'Protected content on this page is visible again.'
+        }
+    },
+
+    // Risk scoring: signals add weight * confidence to a score that decays
+    // over time. Responses only run when the score climbs into a higher level.
+    scoring: {
+        window: 120000,             // ms a signal can contribute at all
+        halfLife: 30000,            // ms for a contribution to decay to half
+        levels: [                   // ascending; `policies` overrides response.policies
+            { name: 'suspicious', score: 3 },
+            { name: 'likely', score: 6 }
+        ],
+        // Signal id or 'prefix.*' -> { weight, confidence }, merged over SIGNAL_WEIGHTS
+        weights: {}
+    },
+
+    // Batched reporting of signals to a backend; disabled without an endpoint
+    telemetry: {
+        endpoint: null,
+        batchSize: 50,              // signals per request
+        flushInterval: 10000,       // ms a signal may wait in the queue
+        maxPayloadBytes: 60000,     // stays under the 64KB sendBeacon/keepalive quota
+        maxQueueSize: 500,          // oldest signals are dropped beyond this
+        maxRetries: 3,
+        retryDelay: 1000,           // ms before the first retry, doubled on each one
+        sampleRate: 1,              // fraction of sessions that report at all
+        signalSampleRates: {},      // signal id or 'prefix.*' -> fraction reported
+        sessionId: null,            // generated and kept in sessionStorage if not set
+        pageToken: null             // server-issued token binding reports to this page load
+    },
+
+    // Automation framework markers the isolatedScript detector looks for, see
+    // AUTOMATION MARKERS. `catalog` replaces the built-in catalog; a catalog
+    // fetched from `catalogUrl` on init replaces it if its version is newer.
+    automation: {
+        catalog: null,
+        catalogUrl: null
+    },
+
+    // Extra rows for VERSION_PROBES, checked by the featureVersion detector
+    // along with the built-in ones: { global, property, chromium } or
+    // { css, chromium }
+    versionProbes: [],
+
+    // Origins that may frame the page, see FRAMING POLICY. The page's own
+    // origin always may.
+    framing: {
+        allowedAncestors: [],       // origins, or 'https://*.example.com' for its subdomains
+        handshakeTimeout: 2000      // ms an ancestor has to answer the framing challenge
+    },
+
+    // Protection triggers remembered across page loads, see VIOLATION HISTORY
+    history: {
+        halfLife: 86400000,         // ms for a past violation to count half as much (1 day)
+        maxAge: 604800000,          // ms after which a violation is forgotten (7 days)
+        maxEntries: 50              // most recent violations kept
+    },
+
+    // Pages whose Content-Security-Policy blocks eval or blob: workers, or
+    // enforces Trusted Types, see CSP COMPATIBILITY
+    csp: {
+        enabled: false,             // probe what the policy allows on init and adapt the detectors
+        workerUrl: null,            // same-origin copy of worker.js, loaded instead of a blob: URL
+        trustedTypesPolicy: 'chromium-browser-detection'    // name to list in the trusted-types directive
+    },
+
+    // Source digests the codeModification detector checks the protection code
+    // against, see SOURCE INTEGRITY. `manifest` replaces the built-in one,
+    // e.g. with one generated for a minified build.
+    integrity: {
+        manifest: null
+    },
+
+    // Signed bypass tokens for staff who need DevTools, see BYPASS TOKENS.
+    // Ignored without a public key.
+    bypass: {
+        publicKey: null,            // ECDSA P-256 public key, as a JWK
+        token: null,                // token given directly instead of looked up
+        queryParam: 'cbd_bypass',   // query parameter holding a token
+        cookie: 'cbd_bypass',       // cookie holding a token
+        mode: 'report-only'         // 'report-only' or 'disable', unless the token sets one
+    }
+};
+
+// Reported with every telemetry batch
+const VERSION = '1.0.0';
+
+// Default weight and confidence per signal id, or per id prefix as 'prefix.*'.
+// Automation markers carry their own, see AUTOMATION_MARKERS. Anything not
+// listed falls back to '*'.
+const SIGNAL_WEIGHTS = {
+    '*': { weight: 2, confidence: 0.5 },
+
+    // Audit trail of bypass token use
+    'bypass.*': { weight: 0, confidence: 0 },
+
+    'window.size-delta': { weight: 3, confidence: 0.6 },
+    'timezone.offset-mismatch': { weight: 5, confidence: 0.9 },
+    'timezone.dst-mismatch': { weight: 4, confidence: 0.7 },
+    // Also set that way on purpose by multilingual users
+    'timezone.locale-mismatch': { weight: 1, confidence: 0.3 },
+    'timing.*': { weight: 1, confidence: 0.4 },
+
+    'function.tostring-native': { weight: 4, confidence: 0.8 },
+    'function.tostring-inspected': { weight: 3, confidence: 0.6 },
+    'devtools.change-event': { weight: 6, confidence: 0.9 },
+
+    // Fire on ordinary page and library behaviour as well
+    'console.call': { weight: 0.5, confidence: 0.3 },
+    'events.listener-registered': { weight: 0.5, confidence: 0.2 },
+
+    // Headless Chromium, from the most to the least telling inconsistency
+    'headless.user-agent': { weight: 8, confidence: 1 },
+    'headless.client-hints-brand': { weight: 8, confidence: 1 },
+    'headless.zero-outer-size': { weight: 6, confidence: 0.9 },
+    'headless.notification-permission': { weight: 5, confidence: 0.8 },
+    'headless.client-hints-version': { weight: 4, confidence: 0.7 },
+    'headless.client-hints-platform': { weight: 4, confidence: 0.7 },
+    'headless.chrome-object': { weight: 4, confidence: 0.6 },
+    'headless.plugins': { weight: 3, confidence: 0.5 },
+    'headless.client-hints-missing': { weight: 2, confidence: 0.5 },
+
+    'navigator.version-mismatch': { weight: 5, confidence: 0.7 },
+
+    'worker.main-thread-stall': { weight: 4, confidence: 0.6 },
+
+    'integrity.source-mismatch': { weight: 6, confidence: 0.8 },
+    // A manifest made for another build of the script, a diagnostic
+    'integrity.manifest-mismatch': { weight: 0, confidence: 0 },
+
+    'frame.unexpected-ancestor': { weight: 5, confidence: 0.8 },
+    'frame.unverified': { weight: 2, confidence: 0.4 },
+
+    // Diagnostics of the page's own Content-Security-Policy, never tampering
+    'csp.*': { weight: 0, confidence: 0 },
+
+    // Past violations add to the score, but never reach a level on their own
+    'history.violations': { weight: 2, confidence: 0.8 }
+};
+
+// Every detector, keyed by the name used in `options.detectors`.
+// Interval tiers are scheduled with `options.intervals[tier]`; 'setup'
+// detectors run once when `init` is called. `invasive` detectors only work by
+// replacing shared prototypes or globals and never run with `invasive: false`;
+// they list the signals nothing else emits, which are lost in that mode.
+// Detectors that `require` a capability are skipped in CSP mode when the
+// page's policy doesn't allow it, unless the CSP option named by `fallback`
+// gives them another way.
+const DETECTORS = {
+    windowSize: { tier: 'primary', run: detectWindowSizeDifference },
+    clockSkew: { tier: 'primary', run: detectClockSkew },
+    toStringNative: { tier: 'primary', run: detectToStringTampering },
+    domRect: { tier: 'primary', run: detectDevtoolsDOMRect },
+
+    debuggerFunction: { tier: 'secondary', run: detectDebuggerFunction, requires: 'eval' },
+    executionTiming: { tier: 'secondary', run: detectExecutionTiming },
+    userAgent: { tier: 'secondary', run: detectDevToolsUserAgent },
+
+    toStringRedefinition: {
+        tier: 'tertiary', run: detectFunctionRedefinition, invasive: ['function.tostring-inspected']
+    },
+    consoleNative: { tier: 'tertiary', run: detectConsoleTampering },
+    evalLength: { tier: 'tertiary', run: detectEvalTampering },
+    cssProperties: { tier: 'tertiary', run: detectDevToolsElementsByCSSProperties },
+    errorStack: { tier: 'tertiary', run: analyzeErrorStackTrace },
+
+    isolatedScript: { tier: 'quaternary', run: detectIsolatedScriptExecution },
+    mutationTraps: { tier: 'quaternary', run: setupMutationObserverTraps },
+    shadowDomTraps: { tier: 'quaternary', run: deployShadowDOMInspectionTraps },
+    timezone: { tier: 'quaternary', run: detectTimezoneManipulation },
+    propertyAccessTiming: { tier: 'quaternary', run: analyzePropertyAccessTiming },
+
+    breakpoints: { tier: 'breakpoints', run: detectBreakpoints },
+    codeModification: { tier: 'codeModification', run: detectCodeModification },
+    emulatedEnvironment: { tier: 'emulatedEnvironment', run: detectEmulatedEnvironment },
+    headlessChromium: { tier: 'emulatedEnvironment', run: detectHeadlessChromium },
+    featureVersion: { tier: 'emulatedEnvironment', run: detectVersionMismatch },
+
+    consoleLockdown: { tier: 'setup', run: lockDownConsole, invasive: ['console.call'] },
+    deceptiveObjects: { tier: 'setup', run: deployDeceptiveObjects },
+    windowProperties: { tier: 'setup', run: protectWindowProperties },
+    symbolProperties: { tier: 'setup', run: protectSymbolProperties },
+    eventListeners: {
+        tier: 'setup', run: interceptEventListeners,
+        invasive: ['events.listener-registered', 'events.devtools-event']
+    },
+    performancePatterns: { tier: 'setup', run: monitorPerformancePatterns },
+    webWorker: { tier: 'setup', run: monitorWebWorkerActivity, requires: 'blobWorker', fallback: 'workerUrl' },
+    iframe: { tier: 'setup', run: checkFramingPolicy },
+    devtoolsChange: { tier: 'setup', run: listenForDevtoolsChange },
+    violationHistory: { tier: 'setup', run: trackViolationHistory },
+    cspViolations: { tier: 'setup', run: reportPolicyViolations }
+};
+
+const TIERS = [
+    'primary', 'secondary', 'tertiary', 'quaternary',
+    'breakpoints', 'codeModification', 'emulatedEnvironment'
+];
+
+// Resolved options of the running instance, null until `init` is called
+let config = null;
+
+// Set by the violationHistory detector when the history can be stored
+let violationTracker = null;
+
+// Console methods captured before consoleLockdown replaces them
+let nativeConsole = null;
+
+// Telemetry reporter, created by init when an endpoint is configured, and
+// the function that detaches its page lifecycle listeners
+let reporter = null;
+let detachReporter = null;
+
+// Runs the interval tiers once init is called
+let scheduler = null;
+
+// Page token -> next payload sequence number. Kept across reporters, since
+// every init after a dispose creates one for the same page token, and the
+// server accepts each number once per token.
+const reportSequences = {};
+
+// Detector name -> teardowns registered through ctx.onDispose by its last run
+const detectorDisposers = {};
+
+// Policy name -> time it last ran, used to enforce response cooldowns
+const policyLastRun = {};
+
+function resolveOptions(options) {
+    options = options || {};
+
+    const detectors = {};
+    Object.keys(DETECTORS).forEach(name => {
+        detectors[name] = true;
+    });
+
+    // An array enables only the listed detectors, an object toggles them
+    if (Array.isArray(options.detectors)) {
+        Object.keys(detectors).forEach(name => {
+            detectors[name] = false;
+        });
+        options.detectors.forEach(name => {
+            detectors[name] = true;
+        });
+    } else if (options.detectors) {
+        Object.keys(options.detectors).forEach(name => {
+            detectors[name] = options.detectors[name] !== false;
+        });
+    }
+
+    Object.keys(detectors).forEach(name => {
+        if (!DETECTORS[name]) {
+            throw new Error('Unknown detector: ' + name);
+        }
+    });
+
+    // What `invasive: false` costs: the detectors it turns off and their signals
+    const invasive = options.invasive !== false;
+    const coverage = { skipped: [], lostSignals: [] };
+    if (!invasive) {
+        Object.keys(detectors).forEach(name => {
+            if (DETECTORS[name].invasive && detectors[name]) {
+                detectors[name] = false;
+                coverage.skipped.push(name);
+                coverage.lostSignals = coverage.lostSignals.concat(DETECTORS[name].invasive);
+            }
+        });
+    }
+
+    const environment = createEnvironment(options.environment);
+    const csp = resolveCspOptions(options.csp, environment);
+    csp.skipped = Object.keys(detectors).filter(name =>
+        detectors[name] && DETECTORS[name].requires && !csp.capabilities[DETECTORS[name].requires] &&
+        !csp[DETECTORS[name].fallback]);
+    csp.skipped.forEach(name => {
+        detectors[name] = false;
+    });
+
+    return {
+        detectors: detectors,
+        invasive: invasive,
+        coverage: coverage,
+        intervals: Object.assign({}, DEFAULT_OPTIONS.intervals, options.intervals),
+        thresholds: Object.assign({}, DEFAULT_OPTIONS.thresholds, options.thresholds),
+        timing: Object.assign({}, DEFAULT_OPTIONS.timing, options.timing),
+        heartbeat: Object.assign({}, DEFAULT_OPTIONS.heartbeat, options.heartbeat),
+        scheduler: Object.assign({}, DEFAULT_OPTIONS.scheduler, options.scheduler),
+        response: resolveResponseOptions(options.response),
+        scoring: resolveScoringOptions(options.scoring),
+        telemetry: Object.assign({}, DEFAULT_OPTIONS.telemetry, options.telemetry),
+        automation: resolveAutomationOptions(options.automation),
+        versionProbes: VERSION_PROBES.concat(resolveVersionProbes(options.versionProbes)),
+        framing: Object.assign({}, DEFAULT_OPTIONS.framing, options.framing),
+        history: Object.assign({}, DEFAULT_OPTIONS.history, options.history),
+        csp: csp,
+        integrity: resolveIntegrityOptions(options.integrity),
+        bypass: resolveBypassOptions(options.bypass),
+        environment: environment
+    };
+}
+
+function resolveAutomationOptions(automation) {
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.automation, automation);
+    resolved.catalog = validateAutomationCatalog(resolved.catalog || AUTOMATION_MARKERS);
+    resolved.weights = getMarkerWeights(resolved.catalog);
+    return resolved;
+}
+
+function resolveIntegrityOptions(integrity) {
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.integrity, integrity);
+    resolved.manifest = resolved.manifest || INTEGRITY_MANIFEST;
+    if (!resolved.manifest.digests || typeof resolved.manifest.digests !== 'object') {
+        throw new Error('Invalid integrity manifest: digests missing');
+    }
+    return resolved;
+}
+
+function resolveBypassOptions(bypassOptions) {
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.bypass, bypassOptions);
+    if (BYPASS_MODES.indexOf(resolved.mode) === -1) {
+        throw new Error('Unknown bypass mode: ' + resolved.mode);
+    }
+    return resolved;
+}
+
+/**
+ * Builds the environment detectors inspect instead of reading globals. By
+ * default it describes the current page; `overrides` may replace any entry,
+ * and entries not given are taken from `overrides.window` when that is set
+ * (e.g. a jsdom window). Built-ins the window doesn't carry fall back to the
+ * ones of this realm.
+ */
+function createEnvironment(overrides) {
+    overrides = overrides || {};
+    const root = overrides.window || (typeof window !== 'undefined' ? window : globalThis);
+
+    return Object.assign({
+        window: root,
+        document: root.document,
+        navigator: root.navigator,
+        performance: root.performance,
+        console: root.console || console,
+        Date: root.Date || Date,
+        Intl: root.Intl || Intl,
+        Function: root.Function || Function,
+        Object: root.Object || Object,
+        crypto: root.crypto && root.crypto.subtle ? root.crypto : globalThis.crypto
+    }, overrides);
+}
+
+function resolveScoringOptions(scoring) {
+    scoring = scoring || {};
+
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.scoring, scoring);
+    resolved.weights = Object.assign({}, SIGNAL_WEIGHTS, scoring.weights);
+    resolved.levels = resolved.levels.slice().sort((a, b) => a.score - b.score);
+
+    resolved.levels.forEach(level => {
+        (level.policies || []).forEach(policy => {
+            if (!RESPONSE_POLICIES[policy]) {
+                throw new Error('Unknown response policy: ' + policy);
+            }
+        });
+    });
+
+    return resolved;
+}
+
+function resolveResponseOptions(response) {
+    // Shorthands: a policy name, a list of names or a bare callback
+    if (typeof response === 'string') {
+        response = { policies: response === 'none' ? [] : [response] };
+    } else if (Array.isArray(response)) {
+        response = { policies: response };
+    } else if (typeof response === 'function') {
+        response = { policies: ['callback'], callback: response };
+    }
+
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.response, response);
+    resolved.shield = Object.assign({}, DEFAULT_OPTIONS.response.shield, response && response.shield);
+    if (SHIELD_MODES.indexOf(resolved.shield.mode) === -1) {
+        throw new Error('Unknown shield mode: ' + resolved.shield.mode);
+    }
+
+    resolved.policies.forEach(policy => {
+        if (!RESPONSE_POLICIES[policy]) {
+            throw new Error('Unknown response policy: ' + policy);
+        }
+        if (RESPONSE_POLICIES[policy].requires &&
+            !resolved[RESPONSE_POLICIES[policy].requires]) {
+            throw new Error('Response policy "' + policy + '" requires the "' +
+                RESPONSE_POLICIES[policy].requires + '" option');
+        }
+    });
+
+    return resolved;
+}
+
+function pickInterval(interval) {
+    if (Array.isArray(interval)) {
+        return Math.random() * (interval[1] - interval[0]) + interval[0];
+    }
+    return interval;
+}
+
+// ==================== SIGNAL BUS ====================
+
+// Looks a signal id up in a table keyed by exact ids or 'prefix.*' patterns.
+// The most specific match wins: exact id, then 'a.b.*', then 'a.*'.
+function lookupBySignalId(table, id) {
+    if (table[id] !== undefined) {
+        return table[id];
+    }
+
+    const parts = id.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+        const prefix = parts.slice(0, i).join('.') + '.*';
+        if (table[prefix] !== undefined) {
+            return table[prefix];
+        }
+    }
+    return undefined;
+}
+
+// Subscribers registered through `on`, called with every emitted signal
+const signalListeners = [];
+
+/**
+ * Subscribes to detection signals. Each signal is a plain object:
+ * { id, detector, tier, time, evidence }, where `id` is stable across
+ * releases (e.g. 'window.size-delta') and `evidence` holds the measured
+ * values and thresholds. Returns a function that removes the listener.
+ */
+function on(listener) {
+    signalListeners.push(listener);
+    return function() {
+        off(listener);
+    };
+}
+
+function off(listener) {
+    const index = signalListeners.indexOf(listener);
+    if (index !== -1) {
+        signalListeners.splice(index, 1);
+    }
+}
+
+function emitSignal(signal) {
+    signalListeners.slice().forEach(listener => {
+        try {
+            listener(signal);
+        } catch (e) {
+            // A failing subscriber must not stop detection or the response
+        }
+    });
+
+    recordSignal(signal);
+}
+
+// ==================== RISK SCORING ====================
+
+// Signal id -> latest occurrence within the scoring window. Repeats of the
+// same signal refresh its contribution instead of adding to it, so a detector
+// on a 1ms interval can't outweigh several independent ones.
+const riskEntries = {};
+
+// Index into config.scoring.levels of the level last escalated to, -1 for none
+let riskLevel = -1;
+
+// Configured weights come first, then those of the automation catalog
+function getSignalWeight(id, settings) {
+    settings = settings || config;
+    return lookupBySignalId(settings.scoring.weights, id) ||
+        settings.automation.weights[id] ||
+        settings.scoring.weights['*'];
+}
+
+function recordSignal(signal) {
+    const entry = riskEntries[signal.id];
+    riskEntries[signal.id] = {
+        signal: signal,
+        count: entry ? entry.count + 1 : 1
+    };
+
+    evaluateRisk(signal);
+}
+
+function computeRisk(now) {
+    const contributors = [];
+    let score = 0;
+
+    Object.keys(riskEntries).forEach(id => {
+        const entry = riskEntries[id];
+        const age = now - entry.signal.time;
+
+        // Drop signals that have left the sliding window
+        if (age > config.scoring.window) {
+            delete riskEntries[id];
+            return;
+        }
+
+        const weight = getSignalWeight(id);
+        const decay = Math.pow(0.5, age / config.scoring.halfLife);
+        const contribution = weight.weight * weight.confidence * decay;
+        if (contribution <= 0) {
+            return;
+        }
+
+        score += contribution;
+        contributors.push({
+            id: id,
+            detector: entry.signal.detector,
+            weight: weight.weight,
+            confidence: weight.confidence,
+            count: entry.count,
+            lastSeen: entry.signal.time,
+            contribution: contribution
+        });
+    });
+
+    contributors.sort((a, b) => b.contribution - a.contribution);
+
+    return { score: score, level: findLevel(config.scoring.levels, score), contributors: contributors };
+}
+
+// Index of the highest of the ascending `levels` that `score` reaches, -1 for none
+function findLevel(levels, score) {
+    let level = -1;
+    levels.forEach((candidate, index) => {
+        if (score >= candidate.score) {
+            level = index;
+        }
+    });
+    return level;
+}
+
+function evaluateRisk(signal) {
+    const risk = computeRisk(signal.time);
+    const escalated = risk.level > riskLevel;
+
+    // Levels drop as the score decays, so the same level can escalate again
+    riskLevel = risk.level;
+
+    if (escalated) {
+        triggerProtection(signal, risk);
+    }
+}
+
+/**
+ * Returns the current risk assessment: { score, level, contributors }, where
+ * `level` is the name of the highest level reached (or null) and
+ * `contributors` lists each signal still adding to the score, largest first.
+ */
+function getRisk() {
+    if (!config) {
+        return { score: 0, level: null, contributors: [] };
+    }
+
+    const risk = computeRisk(Date.now());
+    return {
+        score: risk.score,
+        level: risk.level === -1 ? null : config.scoring.levels[risk.level].name,
+        contributors: risk.contributors
+    };
+}
+
+/**
+ * Scores signal ids as if each had just fired once, under the `scoring` and
+ * `automation` options `init` would take. Returns { score, level } like
+ * getRisk, without needing protection to run; the profile matrix uses it to
+ * keep the known false positives of legit profiles below the first level.
+ */
+function scoreSignals(ids, options) {
+    options = options || {};
+    const settings = {
+        scoring: resolveScoringOptions(options.scoring),
+        automation: resolveAutomationOptions(options.automation)
+    };
+
+    const score = Array.from(new Set(ids)).reduce((sum, id) => {
+        const weight = getSignalWeight(id, settings);
+        return sum + Math.max(0, weight.weight * weight.confidence);
+    }, 0);
+    const level = findLevel(settings.scoring.levels, score);
+
+    return { score: score, level: level === -1 ? null : settings.scoring.levels[level].name };
+}
+
+// ==================== SCHEDULER ====================
+
+/**
+ * Creates the scheduler that runs periodic detector checks. Tasks run in the
+ * order they were added whenever several are due, inside idle periods where
+ * `requestIdleCallback` exists, and never for more than `options.budget` ms
+ * per second. Nothing runs while the document is hidden, and intervals are
+ * stretched by `longTaskBackoff` for every Long Task the page reports.
+ */
+function createScheduler(options) {
+    options = Object.assign({}, DEFAULT_OPTIONS.scheduler, options);
+    const env = options.environment || createEnvironment();
+    const win = env.window;
+
+    const tasks = [];
+    let timer = null;
+    let idleRequest = null;
+    let running = false;
+    let paused = false;
+
+    // Run time spent in the current one-second budget window
+    let windowStart = 0;
+    let spent = 0;
+
+    // Interval multiplier, raised by Long Tasks and stepped down after quiet periods
+    let backoff = 1;
+    let lastLongTask = 0;
+    let longTaskObserver = null;
+
+    const now = () => env.performance.now();
+
+    /**
+     * Adds a task run every `interval` ms, or every random [min, max] ms.
+     * A task is due as soon as the scheduler starts.
+     */
+    function add(name, interval, run) {
+        tasks.push({ name: name, interval: interval, run: run, due: now() });
+        if (running && !paused) {
+            wake();
+        }
+    }
+
+    function start() {
+        if (running) {
+            return;
+        }
+        running = true;
+        env.document.addEventListener('visibilitychange', onVisibilityChange);
+        observeLongTasks();
+        paused = env.document.hidden === true;
+        wake();
+    }
+
+    function stop() {
+        running = false;
+        sleep();
+        env.document.removeEventListener('visibilitychange', onVisibilityChange);
+        if (longTaskObserver) {
+            longTaskObserver.disconnect();
+            longTaskObserver = null;
+        }
+    }
+
+    function onVisibilityChange() {
+        paused = env.document.hidden === true;
+        if (paused) {
+            sleep();
+        } else {
+            wake();
+        }
+    }
+
+    function observeLongTasks() {
+        if (typeof win.PerformanceObserver !== 'function') {
+            return;
+        }
+        try {
+            longTaskObserver = new win.PerformanceObserver(list => {
+                if (list.getEntries().length) {
+                    backoff = Math.min(backoff * options.longTaskBackoff, options.maxBackoff);
+                    lastLongTask = now();
+                }
+            });
+            longTaskObserver.observe({ type: 'longtask' });
+        } catch (e) {
+            // Long Tasks aren't supported here
+            longTaskObserver = null;
+        }
+    }
+
+    function sleep() {
+        clearTimeout(timer);
+        timer = null;
+        if (idleRequest !== null && typeof win.cancelIdleCallback === 'function') {
+            win.cancelIdleCallback(idleRequest);
+        }
+        idleRequest = null;
+    }
+
+    // Sleeps until the earliest due task, or the next budget window when
+    // this one is used up
+    function wake() {
+        sleep();
+        if (!running || paused || !tasks.length) {
+            return;
+        }
+
+        const time = now();
+        let next = Math.min.apply(null, tasks.map(task => task.due));
+        if (spent >= options.budget) {
+            next = Math.max(next, windowStart + 1000);
+        }
+        timer = setTimeout(requestRun, Math.max(0, next - time));
+    }
+
+    function requestRun() {
+        timer = null;
+        if (typeof win.requestIdleCallback === 'function') {
+            idleRequest = win.requestIdleCallback(runDue, { timeout: options.idleTimeout });
+        } else {
+            runDue(null);
+        }
+    }
+
+    // Runs due tasks by priority while the budget and the idle period last.
+    // The first due task always runs so a busy page can't starve detection.
+    function runDue(deadline) {
+        idleRequest = null;
+        if (!running || paused) {
+            return;
+        }
+
+        let time = now();
+        if (time - windowStart >= 1000) {
+            windowStart = time;
+            spent = 0;
+        }
+        if (backoff > 1 && time - lastLongTask >= options.backoffRecovery) {
+            backoff = Math.max(1, backoff / options.longTaskBackoff);
+            lastLongTask = time;
+        }
+
+        let ran = 0;
+        for (let i = 0; i < tasks.length; i++) {
+            const task = tasks[i];
+            if (task.due > time) {
+                continue;
+            }
+            if (ran && (spent >= options.budget ||
+                (deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0))) {
+                break;
+            }
+
+            try {
+                task.run();
+            } catch (e) {
+                // One failing detector must not stop the others
+            }
+            ran++;
+
+            const end = now();
+            spent += end - time;
+            task.due = end + pickInterval(task.interval) * backoff;
+            time = end;
+        }
+
+        wake();
+    }
+
+    // Current load on the page, for diagnostics and tests
+    function stats() {
+        return {
+            paused: paused,
+            backoff: backoff,
+            budgetUsed: spent,
+            tasks: tasks.map(task => ({ name: task.name, due: task.due }))
+        };
+    }
+
+    return {
+        add: add,
+        start: start,
+        stop: stop,
+        stats: stats
+    };
+}
+
+// ==================== TIMING BASELINES ====================
+// How long an operation takes differs a lot between devices and with load, so
+// timing detectors don't use fixed limits. Every timing metric keeps a rolling
+// window of recent samples taken on this device. A sample is an outlier when
+// it lies more than `timing.sigma` robust standard deviations above their
+// median, and more than the metric's threshold.
+
+// Window -> timing metric -> { samples, settleUntil }
+const timingBaselines = new WeakMap();
+
+// Turns a median absolute deviation into a standard deviation estimate
+const MAD_SCALE = 1.4826;
+
+/**
+ * Returns the tracker a detector run samples the timing `metric` with.
+ * `sample(value)` judges a value against the device baseline, then adds it.
+ * `measure(fn)` times `fn` and samples the duration. An outlying duration is
+ * timed once more and the shorter one kept, so a one-off stall (garbage
+ * collection, another task) isn't taken for a slowdown. `isOutlier(value)`
+ * judges without sampling. Samples taken while the page is hidden, or within
+ * `timing.settle` ms of a visibility change, are ignored. Verdicts are
+ * { value, median, deviation, limit, outlier }, or null while the baseline
+ * warms up and for ignored samples. `threshold` is the least an outlier
+ * exceeds the median by.
+ */
+function trackTiming(ctx, metric, threshold) {
+    const env = ctx.env;
+    const options = ctx.timing;
+    const baseline = getTimingBaseline(env, metric);
+
+    // Hidden pages throttle timers and frames, and the first samples after
+    // they're shown again measure the pause
+    const listeners = new env.window.AbortController();
+    ctx.onDispose(() => listeners.abort());
+    env.document.addEventListener('visibilitychange', () => {
+        baseline.settleUntil = env.performance.now() + options.settle;
+    }, { signal: listeners.signal });
+
+    function judge(value) {
+        if (baseline.samples.length < options.warmup) {
+            return null;
+        }
+        const median = computeMedian(baseline.samples);
+        const deviation = MAD_SCALE * computeMedian(baseline.samples.map(s => Math.abs(s - median)));
+        const limit = median + Math.max(options.sigma * deviation, threshold);
+        return {
+            value: value,
+            median: median,
+            deviation: deviation,
+            limit: limit,
+            outlier: value > limit
+        };
+    }
+
+    function isOutlier(value) {
+        const verdict = judge(value);
+        return verdict !== null && verdict.outlier;
+    }
+
+    function sample(value) {
+        if (env.document.hidden || env.performance.now() < baseline.settleUntil) {
+            return null;
+        }
+        const verdict = judge(value);
+        baseline.samples.push(value);
+        if (baseline.samples.length > options.window) {
+            baseline.samples.shift();
+        }
+        return verdict;
+    }
+
+    function time(fn) {
+        const start = env.performance.now();
+        fn();
+        return env.performance.now() - start;
+    }
+
+    return {
+        sample: sample,
+        isOutlier: isOutlier,
+        measure: function(fn) {
+            let duration = time(fn);
+            if (isOutlier(duration)) {
+                duration = Math.min(duration, time(fn));
+            }
+            return sample(duration);
+        }
+    };
+}
+
+function getTimingBaseline(env, metric) {
+    let metrics = timingBaselines.get(env.window);
+    if (!metrics) {
+        metrics = {};
+        timingBaselines.set(env.window, metrics);
+    }
+    if (!metrics[metric]) {
+        metrics[metric] = { samples: [], settleUntil: 0 };
+    }
+    return metrics[metric];
+}
+
+function computeMedian(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// ==================== AUTOMATION MARKERS ====================
+// Traces automation frameworks leave in the page, as data so that a newer
+// catalog can be served without a release (`automation.catalogUrl`). This is
+// a copy of markers/automation.json, which is what gets published; npm test
+// fails when the two differ.
+//
+// Every marker is reported as `automation.<id>`, with its own weight and
+// confidence, and names the framework it indicates. Conclusive markers are
+// only found under automation; suggestive ones also turn up in ordinary
+// browsers. A marker matches when any entry of `match` does and none of
+// `unless` does. An entry looks `in` the window, document, navigator or
+// documentElement for:
+// - `property`: a (dotted) property path that is defined, `equals` a value or
+//   is `above` a number
+// - `pattern`: an own property name matching a regular expression
+// - `attribute`: an attribute that is present
+const AUTOMATION_MARKERS = {
+    version: 1,
+    updated: '2026-10-19',
+    markers: [
+        {
+            id: 'webdriver',
+            framework: 'webdriver',
+            description: 'navigator.webdriver, set by every WebDriver or DevTools protocol' +
+                ' client that doesn\'t hide it: Selenium, ChromeDriver, Puppeteer,' +
+                ' Playwright',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'navigator', property: 'webdriver', equals: true },
+                { in: 'window', property: 'webdriver' }
+            ]
+        },
+        {
+            id: 'webdriver-attribute',
+            framework: 'selenium',
+            description: 'webdriver attribute Selenium sets on the root element',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'documentElement', attribute: 'webdriver' }
+            ]
+        },
+        {
+            id: 'selenium',
+            framework: 'selenium',
+            description: 'Functions and caches Selenium drivers and Selenium IDE leave on ' +
+                'the page',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'document', pattern: '^__(webdriver|selenium|fxdriver|driver)_(evaluate|unwrapped|script_fn|script_func|script_function)$' },
+                { in: 'window', pattern: '^(_Selenium_IDE_Recorder|_selenium|calledSelenium|_WEBDRIVER_ELEM_CACHE)$' }
+            ]
+        },
+        {
+            id: 'chromedriver',
+            framework: 'chromedriver',
+            description: 'cdc_ element cache ChromeDriver injects, unless the binary was ' +
+                'patched',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'document', pattern: '^\\$?(cdc|wdc)_' },
+                { in: 'window', pattern: '^cdc_' }
+            ]
+        },
+        {
+            id: 'playwright',
+            framework: 'playwright',
+            description: 'Bindings and init scripts Playwright exposes on the page',
+            conclusive: true,
+            weight: 8,
+            confidence: 0.9,
+            match: [
+                { in: 'window', property: '__playwright__binding__' },
+                { in: 'window', property: '__pwInitScripts' }
+            ]
+        },
+        {
+            id: 'cypress',
+            framework: 'cypress',
+            description: 'Cypress global on the application under test',
+            conclusive: true,
+            weight: 8,
+            confidence: 0.9,
+            match: [
+                { in: 'window', property: 'Cypress' }
+            ]
+        },
+        {
+            id: 'phantom',
+            framework: 'phantomjs',
+            description: 'PhantomJS callback bridge',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'window', property: 'callPhantom' },
+                { in: 'window', property: '_phantom' }
+            ]
+        },
+        {
+            id: 'nightmare',
+            framework: 'nightmare',
+            description: 'Nightmare IPC bridge',
+            conclusive: true,
+            weight: 8,
+            confidence: 1,
+            match: [
+                { in: 'window', property: '__nightmare' }
+            ]
+        },
+        {
+            id: 'dom-automation',
+            framework: 'chrome-automation',
+            description: 'Controller of Chrome\'s --dom-automation switch, used by test ' +
+                'harnesses and older ChromeDriver versions',
+            conclusive: true,
+            weight: 8,
+            confidence: 0.9,
+            match: [
+                { in: 'window', property: 'domAutomation' },
+                { in: 'window', property: 'domAutomationController' }
+            ]
+        },
+        {
+            id: 'node-buffer',
+            framework: 'electron',
+            description: 'Node\'s Buffer on the page, as in Electron-based drivers; ' +
+                'bundlers polyfill it too',
+            conclusive: false,
+            weight: 2,
+            confidence: 0.4,
+            match: [
+                { in: 'window', property: 'Buffer' }
+            ]
+        },
+        {
+            id: 'no-plugins',
+            framework: 'headless',
+            description: 'No plugins on a desktop browser. Mobile browsers never have any,' +
+                ' so touch devices are exempt.',
+            conclusive: false,
+            weight: 1,
+            confidence: 0.3,
+            match: [
+                { in: 'navigator', property: 'plugins.length', equals: 0 }
+            ],
+            unless: [
+                { in: 'navigator', property: 'maxTouchPoints', above: 0 }
+            ]
+        },
+        {
+            id: 'no-languages',
+            framework: 'headless',
+            description: 'Empty navigator.languages, as in older headless Chrome',
+            conclusive: false,
+            weight: 2,
+            confidence: 0.5,
+            match: [
+                { in: 'navigator', property: 'languages.length', equals: 0 }
+            ]
+        }
+    ]
+};
+
+/**
+ * Returns the automation marker catalog in use: { version, updated, markers }.
+ * Before `init`, that is the built-in one.
+ */
+function getAutomationCatalog() {
+    return config ? config.automation.catalog : AUTOMATION_MARKERS;
+}
+
+// Returns `catalog` if it is well formed, and throws otherwise
+function validateAutomationCatalog(catalog) {
+    function fail(reason) {
+        throw new Error('Invalid automation catalog: ' + reason);
+    }
+    function validateMatchers(marker, matchers) {
+        matchers.forEach(matcher => {
+            if (['window', 'document', 'navigator', 'documentElement'].indexOf(matcher.in) === -1) {
+                fail('marker "' + marker.id + '" looks in unknown target ' + matcher.in);
+            }
+            if (typeof matcher.property !== 'string' && typeof matcher.pattern !== 'string' &&
+                typeof matcher.attribute !== 'string') {
+                fail('marker "' + marker.id + '" has an entry without property, pattern or attribute');
+            }
+            // Compiled now, so a bad pattern rejects the catalog instead of
+            // breaking detection once it is in use
+            if (typeof matcher.pattern === 'string') {
+                try {
+                    new RegExp(matcher.pattern);
+                } catch (e) {
+                    fail('marker "' + marker.id + '" has an invalid pattern /' + matcher.pattern + '/');
+                }
+            }
+        });
+    }
+
+    if (!catalog || typeof catalog.version !== 'number' || !Array.isArray(catalog.markers)) {
+        fail('expected { version, markers }');
+    }
+    catalog.markers.forEach(marker => {
+        if (!/^[a-z0-9-]+$/.test(marker.id) || typeof marker.framework !== 'string') {
+            fail('marker ' + JSON.stringify(marker.id) + ' needs an id and a framework');
+        }
+        if (typeof marker.weight !== 'number' || typeof marker.confidence !== 'number' ||
+            marker.confidence < 0 || marker.confidence > 1 || typeof marker.conclusive !== 'boolean') {
+            fail('marker "' + marker.id + '" needs a weight, a confidence and conclusive');
+        }
+        if (!Array.isArray(marker.match) || !marker.match.length) {
+            fail('marker "' + marker.id + '" matches nothing');
+        }
+        validateMatchers(marker, marker.match);
+        validateMatchers(marker, marker.unless || []);
+    });
+    return catalog;
+}
+
+// Signal id -> { weight, confidence } of every marker in `catalog`
+function getMarkerWeights(catalog) {
+    const weights = {};
+    catalog.markers.forEach(marker => {
+        weights['automation.' + marker.id] = {
+            weight: marker.weight,
+            confidence: marker.confidence
+        };
+    });
+    return weights;
+}
+
+// Fetches a catalog and switches to it if it is valid and newer. The current
+// catalog stays in use when the request or the catalog fails.
+function loadAutomationCatalog(url) {
+    const settings = config;
+    const win = settings.environment.window;
+    if (typeof win.fetch !== 'function') {
+        return;
+    }
+
+    win.fetch(url, { credentials: 'omit' }).then(response => {
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+    }).then(catalog => {
+        validateAutomationCatalog(catalog);
+        if (config === settings && catalog.version > settings.automation.catalog.version) {
+            settings.automation.catalog = catalog;
+            settings.automation.weights = getMarkerWeights(catalog);
+        }
+    }).catch(() => {
+        // Keep the current catalog
+    });
+}
+
+// Describes what a marker entry looked for, for signal evidence
+function describeMatcher(matcher) {
+    if (matcher.attribute) {
+        return matcher.in + '[' + matcher.attribute + ']';
+    }
+    return matcher.in + (matcher.pattern ? ' /' + matcher.pattern + '/' : '.' + matcher.property);
+}
+
+function matchesMarker(env, matcher) {
+    const target = matcher.in === 'documentElement' ? env.document.documentElement : env[matcher.in];
+    if (!target) {
+        return false;
+    }
+
+    if (matcher.attribute) {
+        return target.getAttribute(matcher.attribute) !== null;
+    }
+    if (matcher.pattern) {
+        const pattern = new RegExp(matcher.pattern);
+        return Object.getOwnPropertyNames(target).some(name => pattern.test(name));
+    }
+
+    let value = target;
+    const path = matcher.property.split('.');
+    for (let i = 0; i < path.length && value !== undefined && value !== null; i++) {
+        value = value[path[i]];
+    }
+    if ('equals' in matcher) {
+        return value === matcher.equals;
+    }
+    if ('above' in matcher) {
+        return value > matcher.above;
+    }
+    return value !== undefined;
+}
+
+// ==================== SOURCE INTEGRITY ====================
+// Reformatting, instrumenting or patching the protection code changes its
+// source text. tools/integrity-manifest.js records a SHA-256 digest of the
+// source of every function getIntegrityTargets() lists when the script is
+// built, and the codeModification detector hashes them again at runtime.
+
+// Function.prototype.toString as it was when this script loaded. Sources are
+// read through it, so patching toString afterwards can't fake a match.
+const originalFunctionToString = Function.prototype.toString;
+
+// Generated by `node tools/integrity-manifest.js --write`; don't edit by hand
+const INTEGRITY_MANIFEST = {
+    algorithm: 'SHA-256',
+    digests: {
+        'runTier': 'cb5622b1c541173666da0d7c73e5e0b547d8f2f2bce35a84ba0fa011d1001d0e',
+        'runDetector': '412087289a926f3e4a8782eb4e741397ce3314dcd132e4b85f39570ebcb3c153',
+        'createDetectorContext': '07aac32c41180fa80fd79b701d62821205a567153be3aa09c5a1d4ba1b730d95',
+        'emitSignal': '65271ac3ec15c0bc63b53821525ac24bb889b82d10eaaceb7a6f72ce2266fe06',
+        'trackTiming': 'af0189344cc6abb627410ea2554b643d2d4e8b907919a5395073096a569b4aef',
+        'createIntegrityManifest': 'd5d226f3863e1ed31b3f8cdf2176cf381c20f911cc41adca46f8abff0296fa7b',
+        'detectors.windowSize': '872c7efdae20761f51f08b3f3f839cab9988f188dcd6e9b8a5cd013fbf095498',
+        'detectors.clockSkew': '6bc3b9bfb4cce90f1b7f884f89947acd244838e58f845a0e04b4397db96d50b3',
+        'detectors.toStringNative': '12d37bb92e59e0af8a9a192d7dd81a1f364de245e74ea0fe20ce508cf5be9ed6',
+        'detectors.domRect': '728f5d8564a6f657b26af63d4bd32a27c4e3162a459c5ba86ff5ae5c69c16bb2',
+        'detectors.debuggerFunction': 'f1102e54e89190aede30f5dbc2d09800e4fa8cf2e6babf1464e098be7d9da680',
+        'detectors.executionTiming': 'bf1f4217dbceae5a4e876290630ca55408b68ccc4ddaca6a1d8aaf06303e4368',
+        'detectors.userAgent': '057bad018c8346c4870c9812c3876e527b108cb938e6c79bfd63ed1bf414303a',
+        'detectors.toStringRedefinition': '63dc1718ba2e0947083e0852f40d0c985aef53a73ccb8833165c5ca7889a3552',
+        'detectors.consoleNative': '995a5e0be91e0262c41bdee8514921f6407ea2b488c491635652fe516e257ab4',
+        'detectors.evalLength': '746db94203636903bbfb836b8bc0b5e3134c68c5c307a708c0279e6c1e248b17',
+        'detectors.cssProperties': '1ed50a77015f0d583e60897b055262ba0396eb956374d7a1a960bf2e8b57cd9b',
+        'detectors.errorStack': 'f58c8fecefa291b3fa9d96dbe00b6837ab0feee9d3ae99f5935ca2fd1e55a0f5',
+        'detectors.isolatedScript': 'bd54fad14c387a35773ca5329d9f894cdbd20fe817adb5f72906fffe64088ef4',
+        'detectors.mutationTraps': '79e32907ec8679e807bfb47dde2a1577b054228392b1aa49f2b75d3d36a070b5',
+        'detectors.shadowDomTraps': '4b36717d04cdc0cd1146af18c9b7f999e96ced37f9fbb06b3ca4a7b0eeb4de1b',
+        'detectors.timezone': '63e02d32105e351f9b91556681edea7be3a0316a14a2b622313271a55c686b42',
+        'detectors.propertyAccessTiming': '893ae474145ca700e1dea44a857c718dfaf5348b416374f6a828fd8ac34958c0',
+        'detectors.breakpoints': '8ea2680175d010e7fa872427a0fa9dcb7fa7292a9eff1c941b09f2874fad8b56',
+        'detectors.codeModification': 'a437387202ef162a1d2178acf0214ba2ddb5d5a3e5b2d18cfc28ca79a533c7f8',
+        'detectors.emulatedEnvironment': 'ee4ba2f024e324e09e34c065af02ac9397697e493f1d0bc5c5a6ff9aa06ebab4',
+        'detectors.headlessChromium': '6aec8642d16c340b85281e12e452316d5226f3ec463c6ed12a9c5c5dd545a626',
+        'detectors.featureVersion': '81c52b2fac14545de7145b3e766c92539dcb54912997b3e86b672845616d5ab6',
+        'detectors.consoleLockdown': '45a410034d83c6a785da9280288e892e281ddb63f4a17d610b684040f1365111',
+        'detectors.deceptiveObjects': '5db02a3b0c1b5975063e1263c9db693faf8656dd03a76212afcac2006d3e81db',
+        'detectors.windowProperties': '3a21313074a3009e427c5d582e66880b89ff51e38911d975a1540d04eec3b310',
+        'detectors.symbolProperties': '615378564201123e24368bc310e51004a0a0fd5a32223bf96687d1e801a170fb',
+        'detectors.eventListeners': '881a36524704da455cfc64ba430d103ca4704aa2c0b28916135e53714659bf57',
+        'detectors.performancePatterns': '65471c788743f4b03d2f62c6d9c292e0582aa0252e9bf0c13b83d188204fecfd',
+        'detectors.webWorker': '5ba2d60194abc0943bd230ad344213d855e8a703f49ebaee93d515b10f1dcd45',
+        'detectors.iframe': '3bb870c506f6f6dea3149c199a57ad94a3786757d136847a0311622b871c0aca',
+        'detectors.devtoolsChange': 'dae7fe95487db77317e1d786bb2e87fe0223a436922ad78cd817c1b9ee3a8a40',
+        'detectors.violationHistory': 'c79f3bdce27bb05d005301a93822e9d000353c2e9d8b2c70d4294735caa7ace7',
+        'detectors.cspViolations': 'f2df40f316610f50f5e85a8160770a8cfa83b3a4c17ebe9030a4638920b95d30'
+    }
+};
+
+// The functions checked, by the name the manifest lists them under: the core
+// that runs detectors and reports what they find, and every detector. Names
+// are strings so they survive minification.
+function getIntegrityTargets() {
+    const targets = {
+        'runTier': runTier,
+        'runDetector': runDetector,
+        'createDetectorContext': createDetectorContext,
+        'emitSignal': emitSignal,
+        'trackTiming': trackTiming,
+        'createIntegrityManifest': createIntegrityManifest
+    };
+    Object.keys(DETECTORS).forEach(name => {
+        targets['detectors.' + name] = DETECTORS[name].run;
+    });
+    return targets;
+}
+
+/**
+ * Hashes the current source of the protection code with WebCrypto. Resolves
+ * with a manifest, { algorithm: 'SHA-256', digests: { name: hex digest } },
+ * the shape `integrity.manifest` takes.
+ */
+function createIntegrityManifest(env) {
+    env = env || createEnvironment();
+    const subtle = env.crypto && env.crypto.subtle;
+    if (!subtle) {
+        return Promise.reject(new Error('WebCrypto unavailable'));
+    }
+
+    const targets = getIntegrityTargets();
+    const names = Object.keys(targets);
+    return Promise.all(names.map(name => {
+        const source = originalFunctionToString.call(targets[name]);
+        return subtle.digest('SHA-256', new TextEncoder().encode(source));
+    })).then(buffers => {
+        const manifest = { algorithm: 'SHA-256', digests: {} };
+        names.forEach((name, i) => {
+            manifest.digests[name] = Array.from(new Uint8Array(buffers[i]))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        });
+        return manifest;
+    });
+}
+
+// ==================== CORE PROTECTION MECHANISMS ====================
+
+function runTier(tier) {
+    Object.keys(DETECTORS).forEach(name => {
+        if (DETECTORS[name].tier === tier && config.detectors[name]) {
+            runDetector(name);
+        }
+    });
+}
+
+// Every run first tears down what the previous run of the same detector set
+// up, so observers, workers and patches never pile up
+function runDetector(name) {
+    const settings = config;
+    disposeDetector(name);
+    detectorDisposers[name] = [];
+
+    DETECTORS[name].run(createDetectorContext(name, settings, signal => {
+        // Listeners of a disposed instance may still fire before they're removed
+        if (config === settings) {
+            emitSignal(signal);
+        }
+    }, detectorDisposers[name]));
+}
+
+function disposeDetector(name) {
+    const disposers = detectorDisposers[name] || [];
+    delete detectorDisposers[name];
+
+    disposers.reverse().forEach(dispose => {
+        try {
+            dispose();
+        } catch (e) {
+            // Keep restoring the rest
+        }
+    });
+}
+
+// Context handed to every detector run: the environment to inspect, the
+// thresholds, timing statistics, heartbeat, framing, history and CSP options
+// to apply, the automation marker catalog, version probes and integrity
+// manifest, whether it may patch shared objects, `signal`, which tags what the
+// detector emits with its name before passing it to `emit`, and `onDispose`,
+// which registers a function undoing something the run set up (in `disposers`)
+function createDetectorContext(name, settings, emit, disposers) {
+    return {
+        env: settings.environment,
+        thresholds: settings.thresholds,
+        timing: settings.timing,
+        heartbeat: settings.heartbeat,
+        automationCatalog: settings.automation.catalog,
+        versionProbes: settings.versionProbes,
+        integrityManifest: settings.integrity.manifest,
+        framing: settings.framing,
+        history: settings.history,
+        csp: settings.csp,
+        invasive: settings.invasive,
+        signal: function(id, evidence) {
+            emit({
+                id: id,
+                detector: name,
+                tier: DETECTORS[name].tier,
+                time: Date.now(),
+                evidence: evidence
+            });
+        },
+        onDispose: function(dispose) {
+            disposers.push(dispose);
+        }
+    };
+}
+
+// Replacement a detector installed for a shared function -> the function it
+// replaced. toStringRedefinition stringifies replacements as the native code
+// they stand in for, and the native checks look through them, so protection
+// never reports its own patches.
+const replacedFunctions = new WeakMap();
+
+function registerReplacement(replacement, original) {
+    replacedFunctions.set(replacement, original);
+    return replacement;
+}
+
+// The function `fn` replaced, if it's one of ours, else `fn` itself
+function unwrapReplacement(fn) {
+    while (replacedFunctions.has(fn)) {
+        fn = replacedFunctions.get(fn);
+    }
+    return fn;
+}
+
+// Puts back a property redefined by a detector. `descriptor` is the own
+// property descriptor it had before, undefined if it had none.
+function restoreProperty(target, prop, descriptor) {
+    if (descriptor) {
+        Object.defineProperty(target, prop, descriptor);
+    } else {
+        delete target[prop];
+    }
+}
+
+/**
+ * Runs detectors once without starting protection: nothing is scheduled, no
+ * signal reaches the bus and no response runs. Accepts the `detectors`,
+ * `thresholds`, `timing` and `environment` options of `init` and returns the
+ * emitted signals. Detectors that report asynchronously (observers, workers,
+ * animation frames) keep appending to the returned array. Timing baselines
+ * are kept per window, so repeated runs against one environment warm them up.
+ */
+function runDetectors(options) {
+    const settings = resolveOptions(options);
+    const signals = [];
+
+    Object.keys(DETECTORS).forEach(name => {
+        if (settings.detectors[name]) {
+            DETECTORS[name].run(createDetectorContext(name, settings, signal => {
+                signals.push(signal);
+            }, []));
+        }
+    });
+
+    return signals;
+}
+
+/**
+ * Starts protection. Nothing is patched, observed or scheduled before this
+ * is called; calling it again has no effect until `dispose` is called.
+ * Returns the coverage given up with `invasive: false`: { skipped, lostSignals },
+ * the detectors that don't run and the signals nothing else emits.
+ */
+function init(options) {
+    if (config) {
+        return config.coverage;
+    }
+    config = resolveOptions(options);
+    try {
+        startProtection();
+    } catch (e) {
+        // Undo whatever was set up before the failure, so init can run again
+        dispose();
+        throw e;
+    }
+    return config.coverage;
+}
+
+function startProtection() {
+    nativeConsole = {
+        warn: config.environment.console.warn.bind(config.environment.console)
+    };
+    startBypassCheck();
+    if (config.automation.catalogUrl) {
+        loadAutomationCatalog(config.automation.catalogUrl);
+    }
+
+    // Report signals before setup patches addEventListener
+    if (config.telemetry.endpoint) {
+        reporter = createReporter(config.telemetry, config.environment);
+        detachReporter = reporter.listen();
+        on(reporter.add);
+    }
+
+    // Periodic detection, by tier priority. Every check is due right away,
+    // so the first runs happen as soon as the page is idle after setup.
+    scheduler = createScheduler(Object.assign({ environment: config.environment }, config.scheduler));
+    TIERS.forEach(tier => {
+        Object.keys(DETECTORS).forEach(name => {
+            if (DETECTORS[name].tier === tier && config.detectors[name]) {
+                scheduler.add(name, config.intervals[tier], () => runDetector(name));
+            }
+        });
+    });
+    scheduler.start();
+
+    // One-shot setup: patched globals, listeners and monitoring loops
+    runTier('setup');
+}
+
+/**
+ * Stops protection started by `init`: stops the scheduler, clears timers and
+ * animation frame loops, disconnects observers, terminates workers, removes
+ * bait elements and the notice, and restores every global a detector
+ * patched. Queued telemetry is flushed. Signal subscribers registered with
+ * `on` are kept, and `init` may be called again.
+ */
+function dispose() {
+    if (!config) {
+        return;
+    }
+
+    if (scheduler) {
+        scheduler.stop();
+        scheduler = null;
+    }
+
+    // Setup detectors patch shared globals in order, so undo them in reverse
+    Object.keys(DETECTORS).reverse().forEach(disposeDetector);
+
+    if (reporter) {
+        off(reporter.add);
+        if (detachReporter) {
+            detachReporter();
+        }
+        reporter.flush();
+        reporter = null;
+        detachReporter = null;
+    }
+
+    removeNotice();
+    liftShield(false);
+    stopDestructiveLayers();
+
+    Object.keys(riskEntries).forEach(id => {
+        delete riskEntries[id];
+    });
+    Object.keys(policyLastRun).forEach(policy => {
+        delete policyLastRun[policy];
+    });
+    riskLevel = -1;
+    triggerCount = 0;
+    bypass = null;
+    violationTracker = null;
+    nativeConsole = null;
+    config = null;
+}
+
+// ==================== PRIMARY DETECTORS ====================
+// Immediate detection checks that run very frequently
+
+// Window -> geometry the windowSize detector measures changes against
+const geometryBaselines = new WeakMap();
+
+// Windows that fired `resize` since the windowSize detector last ran
+const geometryResizes = new WeakSet();
+
+// Detects a docked panel (DevTools) opening: the viewport losing space on one
+// edge while the window itself keeps its size. Zoom, toolbars, side panels and
+// tiling present at startup are part of the baseline and never fire. So is
+// browser chrome the user opens or closes later (a side panel, the bookmarks
+// bar): the viewport then changes with a `resize` event while the page keeps
+// focus, and becomes the new baseline. DevTools takes focus when it opens.
+function detectWindowSizeDifference(ctx) {
+    const env = ctx.env;
+    const threshold = ctx.thresholds.windowSizeDelta;
+    const current = measureWindowGeometry(env);
+    const baseline = geometryBaselines.get(env.window);
+
+    const resized = geometryResizes.has(env.window);
+    geometryResizes.delete(env.window);
+    const listeners = new env.window.AbortController();
+    env.window.addEventListener('resize', () => geometryResizes.add(env.window), { signal: listeners.signal });
+    ctx.onDispose(() => listeners.abort());
+
+    // A resized, rotated or fullscreen window starts over from its new layout
+    if (!baseline ||
+        Math.abs(current.outerWidth - baseline.outerWidth) > ctx.thresholds.outerSizeTolerance ||
+        Math.abs(current.outerHeight - baseline.outerHeight) > ctx.thresholds.outerSizeTolerance ||
+        current.orientation !== baseline.orientation ||
+        current.fullscreen !== baseline.fullscreen) {
+        geometryBaselines.set(env.window, current);
+        return;
+    }
+
+    // Pinch zoom only changes the visual viewport
+    if (current.pinchZoomed) {
+        return;
+    }
+
+    // Inner size in the baseline's CSS pixels, so page zoom cancels out
+    const zoom = current.devicePixelRatio / baseline.devicePixelRatio;
+    const widthDelta = Math.round(baseline.innerWidth - current.innerWidth * zoom);
+    const heightDelta = Math.round(baseline.innerHeight - current.innerHeight * zoom);
+
+    // The viewport grew: a panel or toolbar open in the baseline closed.
+    // Only a resize the browser announced moves the baseline.
+    const grew = widthDelta < -threshold || heightDelta < -threshold;
+    if (resized && (grew || current.focused)) {
+        geometryBaselines.set(env.window, current);
+        return;
+    }
+    if (grew) {
+        return;
+    }
+
+    // A docked panel takes space from a single edge; an on-screen keyboard
+    // takes it from the bottom of touch devices
+    const side = widthDelta > threshold;
+    const bottom = heightDelta > threshold && !current.keyboardOpen;
+    if (side === bottom) {
+        return;
+    }
+
+    ctx.signal('window.size-delta', {
+        edge: bottom ? 'bottom' : sideEdge(baseline, current, widthDelta),
+        widthDelta: widthDelta,
+        heightDelta: heightDelta,
+        zoom: zoom,
+        threshold: threshold
+    });
+}
+
+function measureWindowGeometry(env) {
+    const win = env.window;
+    const screen = win.screen || {};
+    const viewport = win.visualViewport;
+    const active = env.document.activeElement;
+
+    return {
+        outerWidth: win.outerWidth,
+        outerHeight: win.outerHeight,
+        innerWidth: win.innerWidth,
+        innerHeight: win.innerHeight,
+        devicePixelRatio: win.devicePixelRatio || 1,
+        orientation: screen.orientation && screen.orientation.type
+            ? screen.orientation.type
+            : (screen.width >= screen.height ? 'landscape' : 'portrait'),
+        fullscreen: !!env.document.fullscreenElement,
+        focused: typeof env.document.hasFocus === 'function' && env.document.hasFocus(),
+        pinchZoomed: !!viewport && Math.abs(viewport.scale - 1) > 0.01,
+        keyboardOpen: env.navigator.maxTouchPoints > 0 && !!active &&
+            (active.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName)),
+        // Only Firefox tells where the viewport sits inside the window
+        innerLeft: typeof win.mozInnerScreenX === 'number' ? win.mozInnerScreenX - win.screenX : null
+    };
+}
+
+// 'left' or 'right' where the browser exposes the viewport position, else 'side'
+function sideEdge(baseline, current, widthDelta) {
+    if (baseline.innerLeft === null || current.innerLeft === null) {
+        return 'side';
+    }
+    return current.innerLeft - baseline.innerLeft > widthDelta / 2 ? 'left' : 'right';
+}
+
+function detectClockSkew(ctx) {
+    const env = ctx.env;
+
+    // Time manipulation detection: wall clock vs monotonic clock since page load
+    if (!env.performance.timeOrigin) {
+        return;
+    }
+    const skew = Math.abs((new env.Date()).getTime() -
+        (env.performance.timeOrigin + env.performance.now()));
+    if (skew > ctx.thresholds.clockSkew) {
+        ctx.signal('timing.clock-skew', {
+            skew: skew,
+            threshold: ctx.thresholds.clockSkew
+        });
+    }
+}
+
+function detectToStringTampering(ctx) {
+    const env = ctx.env;
+
+    // Function toString tampering detection, read through the toString
+    // captured at load, seeing through toStringRedefinition's own wrapper
+    const source = originalFunctionToString.call(unwrapReplacement(env.Function.prototype.toString));
+    if (source.indexOf('native') === -1) {
+        ctx.signal('function.tostring-native', {
+            source: source.slice(0, 100)
+        });
+    }
+}
+
+// Uses DOMRect properties to detect DevTools
+function detectDevtoolsDOMRect(ctx) {
+    const env = ctx.env;
+
+    // Create a dummy element to measure
+    const el = env.document.createElement('div');
+    el.style.cssText = 'position:fixed;top:0;left:0;width:1px;height:1px;';
+    env.document.body.appendChild(el);
+
+    // Get its bounding rectangle
+    const rect = el.getBoundingClientRect();
+
+    // Inspect properties that DevTools may modify
+    if (rect.top !== 0 || rect.left !== 0 ||
+        rect.width !== 1 || rect.height !== 1 ||
+        rect.x !== 0 || rect.y !== 0) {
+        ctx.signal('dom.rect-mismatch', {
+            top: rect.top,
+            left: rect.left,
+            width: rect.width,
+            height: rect.height,
+            x: rect.x,
+            y: rect.y
+        });
+    }
+
+    env.document.body.removeChild(el);
+}
+
+// ==================== SECONDARY DETECTORS ====================
+// Medium-weight checks that run less frequently
+
+function detectDebuggerFunction(ctx) {
+    const env = ctx.env;
+
+    // Debugger function detection
+    try {
+        const debuggerTest = new env.Function('debugger;');
+        const length = debuggerTest.toString().length;
+        if (length !== 15) { // Normal: "function anonymous() { debugger; }"
+            ctx.signal('function.debugger-source', {
+                length: length,
+                expected: 15
+            });
+        }
+    } catch (e) {
+        ctx.signal('function.constructor-blocked', {
+            error: String(e)
+        });
+    }
+}
+
+function detectExecutionTiming(ctx) {
+    const env = ctx.env;
+
+    // Performance monitoring detection
+    const verdict = trackTiming(ctx, 'execution', ctx.thresholds.executionTime)
+        .measure(() => (() => {}).toString());
+    if (verdict && verdict.outlier) { // Breakpoints slow down execution
+        ctx.signal('timing.execution', {
+            duration: verdict.value,
+            median: verdict.median,
+            limit: verdict.limit
+        });
+    }
+}
+
+function detectDevToolsUserAgent(ctx) {
+    const env = ctx.env;
+
+    // Only tooling names DevTools or an inspector in its user agent. Browsers
+    // themselves are identified by detectBrowser, not flagged.
+    const match = env.navigator.userAgent.match(/DevTools|Inspect/gi);
+    if (match) {
+        ctx.signal('navigator.user-agent', {
+            userAgent: env.navigator.userAgent,
+            matches: match
+        });
+    }
+}
+
+// ==================== TERTIARY DETECTORS ====================
+// Heavy checks that run less frequently
+
+function detectFunctionRedefinition(ctx) {
+    const env = ctx.env;
+
+    // Function redefinition detection
+    // A method has no prototype of its own, like the native it replaces
+    const originalToString = env.Function.prototype.toString;
+    const wrappedToString = registerReplacement({
+        toString() {
+            if (this === originalToString) {
+                ctx.signal('function.tostring-inspected', {});
+            }
+            // Our own replacements read as the native functions they replaced
+            return originalToString.call(unwrapReplacement(this));
+        }
+    }.toString, originalToString);
+    Object.defineProperty(wrappedToString, 'name', { value: originalToString.name });
+    Object.defineProperty(wrappedToString, 'length', { value: originalToString.length });
+    env.Function.prototype.toString = wrappedToString;
+
+    ctx.onDispose(() => {
+        // Leave it alone if someone wrapped it again since
+        if (env.Function.prototype.toString === wrappedToString) {
+            env.Function.prototype.toString = originalToString;
+        }
+    });
+}
+
+function detectConsoleTampering(ctx) {
+    const env = ctx.env;
+
+    // Console method tampering detection
+    ['log', 'error', 'warn', 'info', 'debug', 'trace'].forEach(method => {
+        const source = originalFunctionToString.call(unwrapReplacement(env.console[method]));
+        if (source.indexOf('native') === -1) {
+            ctx.signal('console.method-patched', {
+                method: method
+            });
+        }
+    });
+}
+
+function detectEvalTampering(ctx) {
+    const env = ctx.env;
+
+    // Eval length tampering detection
+    if (env.window.eval.length !== 0) { // Normal eval has length 0
+        ctx.signal('function.eval-length', {
+            length: env.window.eval.length,
+            expected: 0
+        });
+    }
+}
+
+// CSS computed property inspection for DevTools elements
+function detectDevToolsElementsByCSSProperties(ctx) {
+    const env = ctx.env;
+
+    // Create detection elements with specific characteristics
+    const elements = Array.from({length: 3}, () => {
+        const el = env.document.createElement('div');
+        el.id = 'detection-' + Math.random().toString(36).substr(2);
+        el.style.cssText = 'position:absolute;height:0;width:0;opacity:0';
+        env.document.body.appendChild(el);
+        return el;
+    });
+
+    // Check for DevTools-specific CSS properties or computed values
+    elements.forEach(el => {
+        const styles = env.window.getComputedStyle(el);
+        const computed = {
+            position: styles.getPropertyValue('position'),
+            height: styles.getPropertyValue('height'),
+            width: styles.getPropertyValue('width'),
+            opacity: styles.getPropertyValue('opacity')
+        };
+
+        // Check if DevTools has modified any style properties
+        if (computed.position !== 'absolute' ||
+            computed.height !== '0px' ||
+            computed.width !== '0px' ||
+            computed.opacity !== '0') {
+            ctx.signal('dom.computed-style', computed);
+        }
+
+        // Clean up
+        env.document.body.removeChild(el);
+    });
+}
+
+// Error stack trace analyzer
+function analyzeErrorStackTrace(ctx) {
+    try {
+        // Generate an error to analyze its stack trace
+        throw new Error('StackTraceAnalysis');
+    } catch (e) {
+        const stack = e.stack.toString();
+        const frames = (stack.match(/at/g) || []).length;
+        const markers = ['debugger', 'eval', 'at Function.'].filter(marker =>
+            stack.indexOf(marker) !== -1);
+
+        // Check for debugging-related frames in the stack
+        if (markers.length ||
+            // Look for patterns indicating breakpoints or step debugging
+            frames > ctx.thresholds.stackDepth) {
+            ctx.signal('stack.debugger-frames', {
+                markers: markers,
+                frames: frames,
+                threshold: ctx.thresholds.stackDepth
+            });
+        }
+
+        // Check if error.stack has been modified
+        if (!stack.includes('analyzeErrorStackTrace')) {
+            ctx.signal('stack.rewritten', {
+                stack: stack.slice(0, 200)
+            });
+        }
+    }
+}
+
+// ==================== QUATERNARY DETECTORS ====================
+// Heavy and sophisticated checks that run infrequently
+
+// Check for isolated script execution (webdriver or headless environment)
+function detectIsolatedScriptExecution(ctx) {
+    const env = ctx.env;
+
+    // Check for traces automation frameworks leave, see AUTOMATION MARKERS
+    const catalog = ctx.automationCatalog;
+    catalog.markers.forEach(marker => {
+        const matched = marker.match.filter(matcher => matchesMarker(env, matcher));
+        if (matched.length && !(marker.unless || []).some(matcher => matchesMarker(env, matcher))) {
+            ctx.signal('automation.' + marker.id, {
+                framework: marker.framework,
+                conclusive: marker.conclusive,
+                matched: matched.map(describeMatcher),
+                catalogVersion: catalog.version
+            });
+        }
+    });
+
+    // Consistency checks in browser environment
+    if (env.navigator.platform === '' ||
+        env.navigator.userAgent === '' ||
+        !('ondevicelight' in env.window) !== !('DeviceLightEvent' in env.window)) {
+        ctx.signal('automation.navigator-inconsistent', {
+            platform: env.navigator.platform,
+            userAgent: env.navigator.userAgent,
+            deviceLightHandler: 'ondevicelight' in env.window,
+            deviceLightEvent: 'DeviceLightEvent' in env.window
+        });
+    }
+}
+
+// Set up mutation observer traps
+function setupMutationObserverTraps(ctx) {
+    const env = ctx.env;
+
+    // Create bait elements that will trigger when inspected
+    const baitElement = env.document.createElement('div');
+    baitElement.id = 'mutation-trap-' + Math.random().toString(36).substr(2);
+    baitElement.style.cssText = 'position:absolute;height:0;width:0;opacity:0';
+    baitElement.__defineGetter__('offsetHeight', function() {
+        ctx.signal('dom.bait-inspected', {
+            property: 'offsetHeight'
+        });
+        return 0;
+    });
+    env.document.body.appendChild(baitElement);
+
+    // Set up mutation observer to detect DOM modifications
+    const observer = new env.window.MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            // Check if our bait elements are being targeted
+            if (mutation.target.id && mutation.target.id.startsWith('mutation-trap-')) {
+                ctx.signal('dom.bait-mutated', {
+                    type: mutation.type,
+                    attributeName: mutation.attributeName
+                });
+            }
+
+            // Look for DevTools-specific elements
+            forEachAddedElement(mutation, node => {
+                if (node.tagName === 'IFRAME' ||
+                    node.id && node.id.includes('react-devtools') ||
+                    node.className && (
+                        String(node.className).includes('devtools') ||
+                        String(node.className).includes('inspector')
+                    )) {
+                    ctx.signal('dom.devtools-node', {
+                        tagName: node.tagName,
+                        id: node.id,
+                        className: String(node.className)
+                    });
+                }
+            });
+        });
+    });
+
+    // Observe the entire document for changes
+    observer.observe(env.document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+    });
+
+    ctx.onDispose(() => {
+        observer.disconnect();
+        baitElement.remove();
+    });
+}
+
+// Calls `callback` with every element a childList mutation added
+function forEachAddedElement(mutation, callback) {
+    for (let i = 0; i < mutation.addedNodes.length; i++) {
+        const node = mutation.addedNodes[i];
+        if (node.nodeType === 1) { // ELEMENT_NODE
+            callback(node);
+        }
+    }
+}
+
+// Deploy shadow DOM inspection traps
+function deployShadowDOMInspectionTraps(ctx) {
+    const env = ctx.env;
+
+    // Create a shadow root with detection traps
+    const hostElement = env.document.createElement('div');
+    hostElement.id = 'shadow-host-' + Math.random().toString(36).substr(2);
+    env.document.body.appendChild(hostElement);
+    ctx.onDispose(() => hostElement.remove());
+
+    try {
+        // Create shadow DOM
+        const shadowRoot = hostElement.attachShadow({mode: 'closed'});
+
+        // Add content to shadow DOM
+        const shadowContent = env.document.createElement('div');
+        shadowContent.textContent = 'Protected Content';
+        shadowContent.__defineGetter__('textContent', function() {
+            ctx.signal('dom.shadow-inspected', {
+                property: 'textContent'
+            });
+            return 'Protected Content';
+        });
+        shadowRoot.appendChild(shadowContent);
+
+        // Set a trap to detect if anyone accesses the shadow root
+        if (!ctx.invasive) {
+            return;
+        }
+        const originalGetElementById = env.window.Document.prototype.getElementById;
+        const trappedGetElementById = function(id) {
+            const result = originalGetElementById.call(this, id);
+            if (id === hostElement.id && result === hostElement) {
+                // Check if someone is trying to access our shadow host
+                if (arguments.callee.caller &&
+                    arguments.callee.caller.toString().indexOf('getInternalReact') !== -1) {
+                    ctx.signal('dom.shadow-host-lookup', {
+                        id: id
+                    });
+                }
+            }
+            return result;
+        };
+        env.window.Document.prototype.getElementById = registerReplacement(trappedGetElementById,
+            originalGetElementById);
+
+        ctx.onDispose(() => {
+            if (env.window.Document.prototype.getElementById === trappedGetElementById) {
+                env.window.Document.prototype.getElementById = originalGetElementById;
+            }
+        });
+    } catch (e) {
+        // Shadow DOM not supported or already being monitored
+    }
+}
+
+// Detect timezone manipulation (often used in automated tools)
+function detectTimezoneManipulation(ctx) {
+    const env = ctx.env;
+
+    // Store original Date methods
+    const originalGetTimezoneOffset = env.Date.prototype.getTimezoneOffset;
+
+    // Compare the offsets Date reports with what the Intl time zone implies,
+    // now and around the year so that DST rules are checked as well. Spoofing
+    // tools often fix one offset and forget the other API, or the DST shift.
+    try {
+        const timeZone = new env.Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (timeZone) {
+            const formatter = new env.Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            const samples = getTimeZoneSampleDates(env).map(date => ({
+                date: date.toISOString(),
+                offset: date.getTimezoneOffset(),
+                expected: getExpectedOffsetForTimeZone(formatter, date)
+            }));
+            const mismatches = samples.filter(sample => sample.offset !== sample.expected);
+
+            // Wrong right now is the stronger sign; wrong only on the other
+            // side of a DST transition means the offset was pinned
+            if (samples[0].offset !== samples[0].expected) {
+                ctx.signal('timezone.offset-mismatch', {
+                    timeZone: timeZone,
+                    offset: samples[0].offset,
+                    expected: samples[0].expected,
+                    mismatches: mismatches.length,
+                    dates: samples.length
+                });
+            } else if (mismatches.length) {
+                ctx.signal('timezone.dst-mismatch', {
+                    timeZone: timeZone,
+                    mismatches: mismatches
+                });
+            }
+        }
+    } catch (e) {
+        // Intl API not supported or tampered with
+    }
+
+    // The browser's languages should agree with each other and with the
+    // locale Intl formats in, at least in the language subtag
+    try {
+        const locale = new env.Intl.DateTimeFormat().resolvedOptions().locale;
+        const language = env.navigator.language;
+        const languages = env.navigator.languages;
+        if (locale && language && (
+            primaryLanguage(locale) !== primaryLanguage(language) ||
+            (languages && languages.length && primaryLanguage(languages[0]) !== primaryLanguage(language)))) {
+            ctx.signal('timezone.locale-mismatch', {
+                locale: locale,
+                language: language,
+                languages: languages ? Array.prototype.slice.call(languages) : null
+            });
+        }
+    } catch (e) {
+        // Intl API not supported or tampered with
+    }
+
+    // Check if Date methods have been tampered with
+    if (env.Date.prototype.getTimezoneOffset !== originalGetTimezoneOffset) {
+        ctx.signal('timezone.method-patched', {});
+    }
+}
+
+// Now, then the middle of each quarter of this year, which puts dates on
+// both sides of the DST transitions of either hemisphere
+function getTimeZoneSampleDates(env) {
+    const now = new env.Date();
+    const year = now.getUTCFullYear();
+    return [now].concat([0, 3, 6, 9].map(month => new env.Date(env.Date.UTC(year, month, 15, 12))));
+}
+
+// Minutes to add to local time in the formatter's time zone to get UTC, the
+// way getTimezoneOffset counts them
+function getExpectedOffsetForTimeZone(formatter, date) {
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day,
+        parts.hour, parts.minute, parts.second);
+    return Math.round((Math.floor(date.getTime() / 1000) * 1000 - local) / 60000);
+}
+
+function primaryLanguage(tag) {
+    return String(tag).split('-')[0].toLowerCase();
+}
+
+// Random property access timing analysis
+function analyzePropertyAccessTiming(ctx) {
+    const env = ctx.env;
+
+    // Create a complex nested object structure
+    const complexObject = createComplexNestedObject(5, 5);
+
+    // Measure access time for deep properties
+    const verdict = trackTiming(ctx, 'propertyAccess', ctx.thresholds.propertyAccessTime)
+        .measure(() => accessDeepProperties(complexObject, 5));
+
+    // In a debugging environment, property access would be significantly slower
+    if (verdict && verdict.outlier) {
+        ctx.signal('timing.property-access', {
+            duration: verdict.value,
+            median: verdict.median,
+            limit: verdict.limit
+        });
+    }
+
+    // Helper to create a complex nested object
+    function createComplexNestedObject(depth, breadth, current = 0) {
+        if (current >= depth) return Math.random();
+
+        const obj = {};
+        for (let i = 0; i < breadth; i++) {
+            const key = `prop_${current}_${i}`;
+            obj[key] = createComplexNestedObject(depth, breadth, current + 1);
+        }
+        return obj;
+    }
+
+    // Helper to access all properties in a nested object
+    function accessDeepProperties(obj, maxDepth, currentDepth = 0) {
+        if (currentDepth >= maxDepth || typeof obj !== 'object' || obj === null)
+            return;
+
+        Object.keys(obj).forEach(key => {
+            const value = obj[key]; // Access the property
+            if (typeof value === 'object' && value !== null) {
+                accessDeepProperties(value, maxDepth, currentDepth + 1);
+            }
+        });
+    }
+}
+
+// ==================== ADVANCED DETECTION TECHNIQUES ====================
+
+// Detect breakpoints by comparing the execution time of a loop with how long
+// it usually takes on this device
+function detectBreakpoints(ctx) {
+    const env = ctx.env;
+    const testCode = 'for(let i = 0; i < 1000; i++) { Math.sqrt(i); }';
+
+    // Without eval, as in CSP mode under a strict policy, the same loop as a closure
+    const test = ctx.csp.capabilities.eval
+        ? new env.Function(testCode)
+        : () => {
+            for (let i = 0; i < 1000; i++) {
+                Math.sqrt(i);
+            }
+        };
+    const verdict = trackTiming(ctx, 'breakpoint', ctx.thresholds.breakpointTime).measure(test);
+
+    if (verdict && verdict.outlier) { // Significant slowdown
+        ctx.signal('timing.breakpoint-slowdown', {
+            duration: verdict.value,
+            median: verdict.median,
+            limit: verdict.limit
+        });
+    }
+}
+
+// Compare the source of the protection code with the digests recorded when
+// the script was built
+function detectCodeModification(ctx) {
+    const manifest = ctx.integrityManifest;
+
+    createIntegrityManifest(ctx.env).then(current => {
+        const names = Object.keys(manifest.digests);
+        const changed = names.filter(name => current.digests[name] !== manifest.digests[name]);
+
+        // Nothing matching means a build the manifest wasn't made for, e.g.
+        // a bundler transpiled or minified the script, not tampering
+        if (changed.length && changed.length === names.length) {
+            ctx.signal('integrity.manifest-mismatch', {
+                digests: names.length
+            });
+            return;
+        }
+
+        changed.forEach(name => {
+            ctx.signal('integrity.source-mismatch', {
+                function: name,
+                expected: manifest.digests[name],
+                actual: current.digests[name] || null
+            });
+        });
+    }, () => {
+        // WebCrypto unavailable, as on insecure origins
+    });
+}
+
+// Detect if the script is being run in an emulated or fake environment
+function detectEmulatedEnvironment(ctx) {
+    const env = ctx.env;
+
+    // Check if navigator properties match what we'd expect
+    if (env.navigator.hardwareConcurrency < 1) {
+        ctx.signal('environment.hardware-concurrency', {
+            hardwareConcurrency: env.navigator.hardwareConcurrency
+        });
+    }
+
+    // Check for WebGL inconsistencies (common in emulated environments)
+    try {
+        const canvas = env.document.createElement('canvas');
+        const gl = canvas.getContext('webgl');
+        if (!gl) {
+            // WebGL should be available in modern browsers
+            ctx.signal('environment.webgl-unavailable', {});
+        } else {
+            // Get WebGL info
+            const renderer = gl.getParameter(gl.RENDERER);
+            const vendor = gl.getParameter(gl.VENDOR);
+
+            // Check for emulated GPU signs
+            if (renderer.includes('SwiftShader') ||
+                renderer.includes('llvmpipe') ||
+                vendor.includes('VMware') ||
+                renderer.includes('Virtual')) {
+                ctx.signal('environment.webgl-renderer', {
+                    renderer: renderer,
+                    vendor: vendor
+                });
+            }
+        }
+    } catch (e) {
+        ctx.signal('environment.webgl-unavailable', {
+            error: String(e)
+        });
+    }
+
+    // Check for audio processing capabilities
+    try {
+        const audioContext = new (env.window.AudioContext || env.window.webkitAudioContext)();
+        const sampleRate = audioContext.sampleRate;
+        if (typeof audioContext.close === 'function') {
+            audioContext.close();
+        }
+        // Real browsers should have reasonable limits
+        if (sampleRate < 8000 || sampleRate > 96000) {
+            ctx.signal('environment.audio-sample-rate', {
+                sampleRate: sampleRate
+            });
+        }
+    } catch (e) {
+        ctx.signal('environment.audio-unavailable', {
+            error: String(e)
+        });
+    }
+}
+
+// ==================== HEADLESS CHROMIUM ====================
+// Headless Chromium answers some questions differently from the browser its
+// user agent names, and tools that disguise it rarely fix every answer.
+// Each inconsistency is a signal of its own.
+
+// Members every desktop Chromium defines on window.chrome, even without
+// extensions
+const CHROME_OBJECT_MEMBERS = ['app', 'csi', 'loadTimes'];
+
+// userAgentData.platform for each user agent platform token
+const CLIENT_HINT_PLATFORMS = [
+    [/Windows NT/, 'Windows'],
+    [/Android/, 'Android'],
+    [/CrOS/, 'Chrome OS'],
+    [/Macintosh|Mac OS X/, 'macOS'],
+    [/Linux|X11/, 'Linux']
+];
+
+function detectHeadlessChromium(ctx) {
+    const env = ctx.env;
+    const userAgent = env.navigator.userAgent;
+
+    // Also a property of old headless mode, but unusual in any browser
+    if (env.window.outerWidth === 0 && env.window.outerHeight === 0) {
+        ctx.signal('headless.zero-outer-size', {
+            innerWidth: env.window.innerWidth,
+            innerHeight: env.window.innerHeight
+        });
+    }
+
+    const version = userAgent.match(/(Headless)?Chrome\/(\d+)/);
+    if (!version) {
+        return;
+    }
+    const major = Number(version[2]);
+    const mobile = /Android|Mobile/.test(userAgent);
+
+    if (version[1]) {
+        ctx.signal('headless.user-agent', {
+            userAgent: userAgent
+        });
+    }
+
+    checkClientHints(ctx, userAgent, major);
+    checkNotificationPermission(ctx);
+
+    // Since Chrome 94 the plugin list is fixed: the PDF viewer's five plugins
+    // and two MIME types, or nothing at all when PDFs are downloaded instead
+    const plugins = env.navigator.plugins;
+    const mimeTypes = env.navigator.mimeTypes;
+    if (!mobile && major >= 94 && plugins && mimeTypes) {
+        const counts = plugins.length + '/' + mimeTypes.length;
+        const native = typeof env.window.PluginArray !== 'function' ||
+            plugins instanceof env.window.PluginArray;
+        if ((counts !== '5/2' && counts !== '0/0') || !native) {
+            ctx.signal('headless.plugins', {
+                plugins: plugins.length,
+                mimeTypes: mimeTypes.length,
+                native: native
+            });
+        }
+    }
+
+    const chrome = env.window.chrome;
+    const missing = !chrome || typeof chrome !== 'object'
+        ? ['chrome']
+        : mobile ? [] : CHROME_OBJECT_MEMBERS.filter(member => !(member in chrome));
+    if (missing.length) {
+        ctx.signal('headless.chrome-object', {
+            missing: missing
+        });
+    }
+}
+
+// User-Agent Client Hints must tell the same story as the user agent string.
+// Browsers only expose them in secure contexts.
+function checkClientHints(ctx, userAgent, major) {
+    const env = ctx.env;
+    const hints = env.navigator.userAgentData;
+
+    if (!hints) {
+        if (major >= 90 && env.window.isSecureContext !== false) {
+            ctx.signal('headless.client-hints-missing', {
+                userAgent: userAgent
+            });
+        }
+        return;
+    }
+
+    const brands = (hints.brands || []).map(entry => entry.brand + '/' + entry.version);
+    if (brands.some(brand => /Headless/i.test(brand))) {
+        ctx.signal('headless.client-hints-brand', {
+            brands: brands
+        });
+    }
+
+    const chromium = (hints.brands || []).filter(entry => entry.brand === 'Chromium')[0];
+    if (!chromium || Number(chromium.version) !== major) {
+        ctx.signal('headless.client-hints-version', {
+            brands: brands,
+            userAgentVersion: major
+        });
+    }
+
+    const platform = CLIENT_HINT_PLATFORMS.filter(entry => entry[0].test(userAgent))[0];
+    if (platform && hints.platform !== platform[1]) {
+        ctx.signal('headless.client-hints-platform', {
+            platform: hints.platform,
+            expected: platform[1]
+        });
+    }
+}
+
+// Old headless mode denies notifications outright while the Permissions API
+// still says it would ask
+function checkNotificationPermission(ctx) {
+    const env = ctx.env;
+    const Notification = env.window.Notification;
+    const permissions = env.navigator.permissions;
+    if (!Notification || !permissions || typeof permissions.query !== 'function') {
+        return;
+    }
+
+    permissions.query({ name: 'notifications' }).then(status => {
+        const permission = Notification.permission;
+        const expected = permission === 'default' ? 'prompt' : permission;
+        if (status.state !== expected) {
+            ctx.signal('headless.notification-permission', {
+                permission: permission,
+                state: status.state
+            });
+        }
+    }, () => {
+        // Notifications can't be queried here
+    });
+}
+
+// ==================== VERSION PROBES ====================
+// The Chromium version a user agent claims is easy to fake; the features the
+// engine ships aren't. Each probe is a feature and the Chromium release that
+// shipped it. The features a browser has narrow down the range its engine
+// version can be in. A probe checks one of:
+// - `global`: a (dotted) path from the window that is a native function, or,
+//   with `property: true`, merely defined
+// - `css`: a condition CSS.supports() accepts
+// Extend the table with newer features as releases ship them.
+const VERSION_PROBES = [
+    { global: 'Array.prototype.flat', chromium: 69 },
+    { global: 'globalThis', property: true, chromium: 71 },
+    { global: 'Promise.allSettled', chromium: 76 },
+    { global: 'WeakRef', chromium: 84 },
+    { global: 'String.prototype.replaceAll', chromium: 85 },
+    { global: 'Promise.any', chromium: 85 },
+    { global: 'Intl.Segmenter', chromium: 87 },
+    { global: 'Array.prototype.at', chromium: 92 },
+    { global: 'Object.hasOwn', chromium: 93 },
+    { global: 'Array.prototype.findLast', chromium: 97 },
+    { global: 'structuredClone', chromium: 98 },
+    { css: 'selector(:has(a))', chromium: 105 },
+    { css: '(container-type: inline-size)', chromium: 105 },
+    { global: 'Array.prototype.toSorted', chromium: 110 },
+    { global: 'String.prototype.isWellFormed', chromium: 111 },
+    { css: 'selector(&)', chromium: 112 },
+    { global: 'AbortSignal.any', chromium: 116 },
+    { global: 'Object.groupBy', chromium: 117 },
+    { global: 'Promise.withResolvers', chromium: 119 },
+    { global: 'URL.canParse', chromium: 120 },
+    { global: 'Array.fromAsync', chromium: 121 },
+    { global: 'Set.prototype.union', chromium: 122 },
+    { global: 'URL.parse', chromium: 126 },
+    { global: 'Promise.try', chromium: 128 },
+    { global: 'Intl.DurationFormat', chromium: 129 },
+    { global: 'Float16Array', chromium: 135 },
+    { global: 'RegExp.escape', chromium: 136 }
+];
+
+function resolveVersionProbes(probes) {
+    (probes || []).forEach(probe => {
+        if (!probe || typeof probe.chromium !== 'number' ||
+            typeof (probe.global || probe.css) !== 'string') {
+            throw new Error('Invalid version probe: ' + JSON.stringify(probe));
+        }
+    });
+    return probes || [];
+}
+
+// Compares the Chromium version the browser claims with the range its
+// features allow. Polyfills can only add features, so functions count only
+// when they're native.
+function detectVersionMismatch(ctx) {
+    const env = ctx.env;
+    const claim = getClaimedChromiumVersion(env.navigator);
+    if (!claim) {
+        return;
+    }
+
+    const range = probeChromiumVersion(env, ctx.versionProbes);
+    // Features contradicting each other, e.g. a browser with a feature
+    // disabled, leave nothing to compare the claim with
+    if (range.min > range.max) {
+        return;
+    }
+
+    const drift = ctx.thresholds.versionDrift;
+    if (claim.version > range.max + drift || claim.version < range.min - drift) {
+        ctx.signal('navigator.version-mismatch', {
+            claimed: claim.version,
+            source: claim.source,
+            min: range.min,
+            max: range.max === Infinity ? null : range.max,
+            // The probes that contradict the claim
+            unexpected: range.supported.filter(probe => probe.chromium > claim.version + drift).map(describeProbe),
+            missing: range.unsupported.filter(probe => probe.chromium < claim.version - drift).map(describeProbe)
+        });
+    }
+}
+
+// The Chromium major version from Client Hints, or else the user agent
+function getClaimedChromiumVersion(navigator) {
+    const hints = navigator.userAgentData;
+    const chromium = hints && Array.isArray(hints.brands) &&
+        hints.brands.filter(entry => entry.brand === 'Chromium')[0];
+    if (chromium && parseInt(chromium.version, 10)) {
+        return { version: parseInt(chromium.version, 10), source: 'client-hints' };
+    }
+
+    const match = (navigator.userAgent || '').match(/Chrome\/(\d+)/);
+    return match ? { version: Number(match[1]), source: 'user-agent' } : null;
+}
+
+// Runs every probe and returns { min, max, supported, unsupported }: the
+// engine is at least the newest supported feature's release and older than
+// the oldest missing one. Probes that can't run here are left out.
+function probeChromiumVersion(env, probes) {
+    const supported = [];
+    const unsupported = [];
+
+    probes.forEach(probe => {
+        const result = runVersionProbe(env, probe);
+        if (result !== null) {
+            (result ? supported : unsupported).push(probe);
+        }
+    });
+
+    return {
+        min: supported.reduce((min, probe) => Math.max(min, probe.chromium), 0),
+        max: unsupported.reduce((max, probe) => Math.min(max, probe.chromium - 1), Infinity),
+        supported: supported,
+        unsupported: unsupported
+    };
+}
+
+// true when the feature is there, false when it isn't, null when the probe
+// can't tell
+function runVersionProbe(env, probe) {
+    try {
+        if (probe.css) {
+            const css = env.window.CSS;
+            return css && typeof css.supports === 'function' ? css.supports(probe.css) : null;
+        }
+
+        let value = env.window;
+        const path = probe.global.split('.');
+        for (let i = 0; i < path.length && value !== undefined && value !== null; i++) {
+            value = value[path[i]];
+        }
+        if (probe.property || value === undefined) {
+            return value !== undefined;
+        }
+        // A polyfill (core-js and the like) may have replaced the native
+        // function, so something else there says nothing about the engine.
+        // Read through the toString captured at load, which page script
+        // can't have replaced, seeing through protection's own replacements.
+        return typeof value === 'function' &&
+            /\{\s*\[native code\]\s*\}/.test(originalFunctionToString.call(unwrapReplacement(value)))
+            ? true
+            : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function describeProbe(probe) {
+    return (probe.css ? 'CSS ' + probe.css : probe.global) + ' (' + probe.chromium + ')';
+}
+
+// ==================== FRAMING POLICY ====================
+// Another site framing the page can inspect or clickjack it, but partner
+// portals and help-center widgets embed pages legitimately. Ancestors are
+// checked against `framing.allowedAncestors`. Chromium and Safari list them in
+// location.ancestorOrigins. Elsewhere, same-origin ancestors are read
+// directly, and the first cross-origin one is sent a postMessage challenge:
+// the browser vouches for the origin its answer comes from. Embedding pages
+// answer with answerFrameChallenges(). An ancestor that isn't allowed reports
+// `frame.unexpected-ancestor`, one that doesn't answer the weaker
+// `frame.unverified`.
+
+const FRAME_CHALLENGE = 'chromium-browser-detection:frame-challenge';
+const FRAME_RESPONSE = 'chromium-browser-detection:frame-response';
+
+function checkFramingPolicy(ctx) {
+    const env = ctx.env;
+    const win = env.window;
+    if (win === win.top) {
+        return;
+    }
+
+    const listed = win.location.ancestorOrigins;
+    if (listed && typeof listed.length === 'number') {
+        reportAncestors(ctx, Array.from(listed), 'ancestor-origins');
+        return;
+    }
+
+    const origins = [];
+    let ancestor = win;
+    do {
+        ancestor = ancestor.parent;
+        const origin = readOrigin(ancestor);
+        if (origin === null) {
+            challengeAncestor(ctx, ancestor, origins);
+            return;
+        }
+        origins.push(origin);
+    } while (ancestor !== win.top);
+
+    reportAncestors(ctx, origins, 'location');
+}
+
+// The origin of a window, or null when it's cross-origin
+function readOrigin(target) {
+    try {
+        return target.location.origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Asks `target` to answer with the nonce of a challenge. `origins` are those
+// of the ancestors below it, read directly.
+function challengeAncestor(ctx, target, origins) {
+    const env = ctx.env;
+    const timeout = ctx.framing.handshakeTimeout;
+    const nonce = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    const listeners = new env.window.AbortController();
+
+    const timer = env.window.setTimeout(() => {
+        listeners.abort();
+        ctx.signal('frame.unverified', {
+            ancestors: origins,
+            timeout: timeout,
+            referrer: env.document.referrer
+        });
+    }, timeout);
+    ctx.onDispose(() => {
+        listeners.abort();
+        env.window.clearTimeout(timer);
+    });
+
+    env.window.addEventListener('message', e => {
+        if (e.source !== target || !e.data || e.data.type !== FRAME_RESPONSE || e.data.nonce !== nonce) {
+            return;
+        }
+        listeners.abort();
+        env.window.clearTimeout(timer);
+        reportAncestors(ctx, origins.concat(e.origin), 'handshake');
+    }, { signal: listeners.signal });
+
+    try {
+        target.postMessage({ type: FRAME_CHALLENGE, nonce: nonce }, '*');
+    } catch (e) {
+        // Left to the timeout
+    }
+}
+
+function reportAncestors(ctx, origins, source) {
+    const env = ctx.env;
+    const disallowed = origins.filter(origin => !isAllowedAncestor(env, ctx.framing.allowedAncestors, origin));
+    if (disallowed.length) {
+        ctx.signal('frame.unexpected-ancestor', {
+            ancestors: origins,
+            disallowed: disallowed,
+            source: source,
+            referrer: env.document.referrer
+        });
+    }
+}
+
+// Sandboxed frames have the opaque origin 'null', which is never allowed
+function isAllowedAncestor(env, allowed, origin) {
+    if (origin === 'null') {
+        return false;
+    }
+    if (origin === env.window.location.origin) {
+        return true;
+    }
+    return allowed.some(pattern => {
+        // 'https://*.example.com': the scheme, any subdomain, then the domain
+        const wildcard = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)\*(\.[^/]+)$/i);
+        if (!wildcard) {
+            return pattern === origin;
+        }
+        return origin.indexOf(wildcard[1]) === 0 &&
+            origin.length > wildcard[1].length + wildcard[2].length &&
+            origin.slice(-wildcard[2].length) === wildcard[2];
+    });
+}
+
+/**
+ * Answers the framing challenges of pages this one embeds, so their framing
+ * policy can verify it where location.ancestorOrigins is missing. Only
+ * frames whose origin is in `options.origins` get an answer when it is set.
+ * `options.environment` is the environment to listen in, as for `init`.
+ * Returns a function that stops answering.
+ */
+function answerFrameChallenges(options) {
+    options = options || {};
+    const env = createEnvironment(options.environment);
+
+    function onMessage(e) {
+        if (!e.source || !e.data || e.data.type !== FRAME_CHALLENGE) {
+            return;
+        }
+        if (options.origins && options.origins.indexOf(e.origin) === -1) {
+            return;
+        }
+        e.source.postMessage({ type: FRAME_RESPONSE, nonce: e.data.nonce },
+            e.origin === 'null' ? '*' : e.origin);
+    }
+
+    env.window.addEventListener('message', onMessage);
+    return function() {
+        env.window.removeEventListener('message', onMessage);
+    };
+}
+
+// ==================== CSP COMPATIBILITY ====================
+// A strict Content-Security-Policy (no 'unsafe-eval', worker-src 'self') or
+// Trusted Types enforcement makes `new Function`, eval and blob: workers
+// throw, which would otherwise count as tampering. With `csp.enabled`, what
+// the policy allows is probed on init. Detectors that `require` a blocked
+// capability are skipped, breakpoints times a closure instead of compiled
+// code, and webWorker loads `csp.workerUrl` through a Trusted Types policy,
+// or is skipped when blob: workers are blocked and there is no `workerUrl`.
+// Violations the browser reports are emitted as `csp.*` diagnostics, which
+// carry no weight. The probes are reported by the browser as violations too.
+
+// Trusted Types policy per window, created the first time one is needed.
+// createPolicy refuses a second policy with the same name.
+const trustedTypesPolicies = new WeakMap();
+
+function resolveCspOptions(cspOptions, env) {
+    const resolved = Object.assign({}, DEFAULT_OPTIONS.csp, cspOptions);
+    resolved.capabilities = resolved.enabled
+        ? probeCapabilities(env, resolved)
+        : { eval: true, trustedTypes: false, blobWorker: true };
+    return resolved;
+}
+
+// What the page's policy allows: compiling strings to code, whether Trusted
+// Types are enforced on script URLs, and starting workers from blob: URLs
+function probeCapabilities(env, csp) {
+    const capabilities = { eval: true, trustedTypes: false, blobWorker: true };
+
+    try {
+        new env.Function('');
+    } catch (e) {
+        capabilities.eval = false;
+    }
+
+    if (env.window.trustedTypes) {
+        try {
+            // A detached script element never loads its source
+            env.document.createElement('script').src = 'about:blank';
+        } catch (e) {
+            capabilities.trustedTypes = true;
+        }
+    }
+
+    // An empty worker, stopped right away. Pages without workers at all
+    // aren't restricted by their policy. This only catches browsers that
+    // refuse a blocked worker by throwing; the others fire an error event
+    // later, which webWorker reports as csp.worker-blocked.
+    const win = env.window;
+    if (typeof win.Worker === 'function') {
+        let url = null;
+        try {
+            url = win.URL.createObjectURL(new win.Blob([''], { type: 'application/javascript' }));
+            const trusted = capabilities.trustedTypes ? createTrustedScriptURL(win, csp, url) : url;
+            new win.Worker(trusted).terminate();
+        } catch (e) {
+            capabilities.blobWorker = false;
+        }
+        if (url) {
+            win.URL.revokeObjectURL(url);
+        }
+    }
+
+    return capabilities;
+}
+
+// `url` as a TrustedScriptURL where Trusted Types are enforced. Only this
+// script holds the policy, and it only passes worker URLs through it.
+function toTrustedScriptURL(ctx, url) {
+    if (!ctx.csp.capabilities.trustedTypes) {
+        return url;
+    }
+    return createTrustedScriptURL(ctx.env.window, ctx.csp, url);
+}
+
+function createTrustedScriptURL(win, csp, url) {
+    if (!trustedTypesPolicies.has(win)) {
+        trustedTypesPolicies.set(win, win.trustedTypes.createPolicy(csp.trustedTypesPolicy, {
+            createScriptURL: value => value
+        }));
+    }
+    return trustedTypesPolicies.get(win).createScriptURL(url);
+}
+
+// Report what CSP mode adapted to and every violation the browser reports,
+// as diagnostics for whoever maintains the page's policy
+function reportPolicyViolations(ctx) {
+    const env = ctx.env;
+    const csp = ctx.csp;
+    if (!csp.enabled) {
+        return;
+    }
+
+    if (!csp.capabilities.eval || csp.capabilities.trustedTypes || !csp.capabilities.blobWorker) {
+        ctx.signal('csp.restricted', {
+            capabilities: csp.capabilities,
+            skipped: csp.skipped
+        });
+    }
+
+    const listeners = new env.window.AbortController();
+    ctx.onDispose(() => listeners.abort());
+
+    env.document.addEventListener('securitypolicyviolation', (e) => {
+        ctx.signal('csp.violation', {
+            directive: e.effectiveDirective || e.violatedDirective,
+            blockedURI: e.blockedURI,
+            sourceFile: e.sourceFile,
+            lineNumber: e.lineNumber,
+            sample: e.sample,
+            disposition: e.disposition
+        });
+    }, { signal: listeners.signal });
+}
+
+// ==================== SETUP DETECTORS ====================
+// Run once from init: patched globals, listeners and monitoring loops
+
+// Watch calls to the console methods. Each replacement calls through to the
+// original, keeps its name and stays writable so other code can still wrap it.
+function lockDownConsole(ctx) {
+    const env = ctx.env;
+    ['log', 'error', 'warn', 'info', 'debug', 'trace', 'table', 'dir'].forEach(method => {
+        const original = Object.getOwnPropertyDescriptor(env.console, method);
+        const originalMethod = env.console[method];
+        if (typeof originalMethod !== 'function') {
+            return;
+        }
+
+        const watched = registerReplacement({
+            [method]() {
+                ctx.signal('console.call', {
+                    method: method
+                });
+                return originalMethod.apply(this, arguments);
+            }
+        }[method], originalMethod);
+
+        Object.defineProperty(env.console, method, {
+            value: watched,
+            writable: true,
+            enumerable: original ? original.enumerable : true,
+            configurable: true
+        });
+        ctx.onDispose(() => {
+            if (env.console[method] === watched) {
+                restoreProperty(env.console, method, original);
+            }
+        });
+    });
+}
+
+// Create deceptive objects that trigger protection when interacted with
+function deployDeceptiveObjects(ctx) {
+    const env = ctx.env;
+    const deceptiveObjects = [
+        { toString: () => { ctx.signal('console.object-inspected', { trap: 'toString' }); return ""; } },
+        { valueOf: () => { ctx.signal('console.object-inspected', { trap: 'valueOf' }); return 0; } },
+        { then: (resolve) => { ctx.signal('console.object-inspected', { trap: 'then' }); resolve(); } }
+    ];
+
+    deceptiveObjects.forEach(obj => {
+        try {
+            env.console.log(obj);
+        } catch (e) {
+            // Ignore errors
+        }
+    });
+}
+
+// Protect against property access on window object. Names the page already
+// uses are left alone, and assigned values are kept.
+function protectWindowProperties(ctx) {
+    const env = ctx.env;
+    const protectedProperties = ['a', 'b', 'debug', 'inspect', 'devtools'];
+    protectedProperties.forEach(prop => {
+        if (prop in env.window) {
+            return;
+        }
+
+        let value;
+        Object.defineProperty(env.window, prop, {
+            get: () => {
+                ctx.signal('window.protected-property', {
+                    property: prop,
+                    access: 'get'
+                });
+                return value;
+            },
+            set: (newValue) => {
+                ctx.signal('window.protected-property', {
+                    property: prop,
+                    access: 'set'
+                });
+                value = newValue;
+            },
+            configurable: true,
+            enumerable: false
+        });
+        ctx.onDispose(() => delete env.window[prop]);
+    });
+}
+
+// Protect against Symbol-keyed properties (often used to hide values). Only
+// code enumerating the window's symbols, such as an object inspector, can
+// reach the secret symbol.
+function protectSymbolProperties(ctx) {
+    const env = ctx.env;
+    const secretSymbol = Symbol('protection');
+    ctx.onDispose(() => delete env.window[secretSymbol]);
+
+    // Without patching, reading the property itself is the trap
+    if (!ctx.invasive) {
+        Object.defineProperty(env.window, secretSymbol, {
+            get: () => {
+                ctx.signal('object.symbol-probe', {
+                    property: secretSymbol.toString()
+                });
+                return function() { return true; };
+            },
+            configurable: true,
+            enumerable: false
+        });
+        return;
+    }
+
+    env.window[secretSymbol] = function() { return true; };
+
+    const original = Object.getOwnPropertyDescriptor(env.Object.prototype, 'hasOwnProperty');
+    const originalHasOwnProperty = original.value;
+    const watched = {
+        hasOwnProperty(prop) {
+            // Keeps a null or undefined `this` from turning into the global object
+            'use strict';
+            if (prop === secretSymbol) {
+                ctx.signal('object.symbol-probe', {
+                    property: prop.toString()
+                });
+            }
+            return originalHasOwnProperty.call(this, prop);
+        }
+    }.hasOwnProperty;
+    registerReplacement(watched, originalHasOwnProperty);
+
+    Object.defineProperty(env.Object.prototype, 'hasOwnProperty', Object.assign({}, original, {
+        value: watched
+    }));
+    ctx.onDispose(() => {
+        if (env.Object.prototype.hasOwnProperty === watched) {
+            restoreProperty(env.Object.prototype, 'hasOwnProperty', original);
+        }
+    });
+}
+
+// Protect against event listener manipulation. The page's listeners are
+// registered unchanged, so removeEventListener keeps working; events are
+// inspected by one extra listener per target and event type instead. It is
+// passive, so it never delays scrolling or touch handling.
+function interceptEventListeners(ctx) {
+    const env = ctx.env;
+    const prototype = env.window.EventTarget.prototype;
+    const originalAddEventListener = prototype.addEventListener;
+
+    // Target -> event types it already has an inspecting listener for
+    const inspected = new WeakMap();
+    const listeners = new env.window.AbortController();
+
+    function inspectEvent(event) {
+        // Check if this is a debugging-related event
+        if (event && event.constructor &&
+            event.constructor.name &&
+            event.constructor.name.includes('DevTools')) {
+            ctx.signal('events.devtools-event', {
+                type: event.type,
+                constructor: event.constructor.name
+            });
+        }
+    }
+
+    const intercepted = {
+        // Same length as the native method: (type, listener)
+        addEventListener(type, listener) {
+            'use strict';
+            // Check if someone is trying to listen for our protection events
+            if (type === 'devtoolschange') {
+                ctx.signal('events.listener-registered', {
+                    type: type
+                });
+            }
+
+            const result = originalAddEventListener.apply(this, arguments);
+
+            // Unbound calls register on the window
+            const target = this === undefined || this === null ? env.window : this;
+            const types = inspected.get(target) || new Set();
+            if (!types.has(type)) {
+                types.add(type);
+                inspected.set(target, types);
+                originalAddEventListener.call(target, type, inspectEvent, { passive: true, signal: listeners.signal });
+            }
+            return result;
+        }
+    };
+    prototype.addEventListener = registerReplacement(intercepted.addEventListener, originalAddEventListener);
+
+    ctx.onDispose(() => {
+        listeners.abort();
+        if (prototype.addEventListener === intercepted.addEventListener) {
+            prototype.addEventListener = originalAddEventListener;
+        }
+    });
+}
+
+// Monitor for specific performance patterns that indicate debugging
+function monitorPerformancePatterns(ctx) {
+    const env = ctx.env;
+    const frames = trackTiming(ctx, 'frame', ctx.thresholds.frameDuration);
+    let lastFrameTime = env.performance.now();
+    let suspiciousFrames = 0;
+
+    // Check frame timing
+    function checkFrame() {
+        const now = env.performance.now();
+        const frameDuration = now - lastFrameTime;
+        const verdict = frames.sample(frameDuration);
+
+        // Frames usually take about the same time on a device (16.7ms at
+        // 60fps). When debugging, frames often freeze for longer periods.
+        if (verdict && verdict.outlier) { // Possible debugging pause
+            suspiciousFrames++;
+
+            // Allow a few slow frames, such as garbage collection pauses,
+            // before triggering
+            if (suspiciousFrames >= ctx.thresholds.suspiciousFrames) {
+                ctx.signal('timing.frame-stall', {
+                    frameDuration: frameDuration,
+                    suspiciousFrames: suspiciousFrames,
+                    median: verdict.median,
+                    limit: verdict.limit
+                });
+            }
+        } else {
+            // Gradually reduce suspicious frame count for normal operation
+            suspiciousFrames = Math.max(0, suspiciousFrames - 0.2);
+        }
+
+        lastFrameTime = now;
+        frame = env.window.requestAnimationFrame(checkFrame);
+    }
+
+    let frame = env.window.requestAnimationFrame(checkFrame);
+    ctx.onDispose(() => env.window.cancelAnimationFrame(frame));
+}
+
+// Keep one worker sending heartbeats on its own clock, and compare the gaps
+// between them with the gaps between their arrival on the main thread. While
+// the main thread is paused (a breakpoint, a long synchronous block, a hung
+// tab) heartbeats queue up, and the first one delivered afterwards arrived
+// that much later than it was sent. Hidden pages are throttled instead of
+// paused, so the worker is stopped while the page is hidden and what arrives
+// meanwhile isn't judged.
+function monitorWebWorkerActivity(ctx) {
+    const env = ctx.env;
+
+    try {
+        // Keep worker.js, the static copy for strict CSP, in sync with this
+        const workerCode = `
+            let timer = null;
+
+            function beat() {
+                self.postMessage({
+                    type: 'heartbeat',
+                    time: performance.timeOrigin + performance.now(),
+                    date: Date.now()
+                });
+            }
+
+            self.addEventListener('message', function(e) {
+                clearInterval(timer);
+                timer = e.data.command === 'start' ? setInterval(beat, e.data.interval) : null;
+            });
+
+            // Check if any expected functions are missing or modified
+            const isSecure = (
+                typeof self.importScripts === 'function' &&
+                typeof self.postMessage === 'function'
+            );
+            self.postMessage({ type: 'status', status: isSecure ? 'secure' : 'compromised' });
+            if (!isSecure) {
+                self.close();
+            }
+        `;
+
+        // The static copy where the page's worker-src doesn't allow blob: URLs
+        let workerURL = ctx.csp.workerUrl;
+        if (!workerURL) {
+            const blob = new env.window.Blob([workerCode], {type: 'application/javascript'});
+            workerURL = env.window.URL.createObjectURL(blob);
+            ctx.onDispose(() => env.window.URL.revokeObjectURL(workerURL));
+        }
 
-// ==================== CORE PROTECTION MECHANISMS ====================
+        const worker = new env.window.Worker(toTrustedScriptURL(ctx, workerURL));
+        const listeners = new env.window.AbortController();
+        ctx.onDispose(() => {
+            listeners.abort();
+            worker.terminate();
+        });
 
-// Main protection interval - multiple detection methods running at different intervals
-setInterval(() => {
-    executePrimaryProtections();
-}, 1);
-
-// Secondary protection with randomized intervals to avoid pattern detection
-setInterval(() => {
-    executeSecondaryProtections();
-}, Math.random() * 50 + 50);
-
-// Tertiary protection with longer intervals for heavier checks
-setInterval(() => {
-    executeTertiaryProtections();
-}, 1000);
-
-// Quaternary protection with variable intervals
-(function setupQuaternaryProtection() {
-    const nextInterval = Math.random() * 3000 + 2000;
-    setTimeout(() => {
-        executeQuaternaryProtections();
-        setupQuaternaryProtection(); // Re-schedule with new random interval
-    }, nextInterval);
-})();
-
-// ==================== PROTECTION FUNCTIONS ====================
-
-function executePrimaryProtections() {
-    /**
-     * Immediate detection checks that run very frequently
-     */
-    
-    // Window size difference detection (DevTools open)
-    if (Math.abs(outerWidth - innerWidth) > 99 || 
-        Math.abs(outerHeight - innerHeight) > 99) {
-        triggerProtection();
+        // Browsers refuse a worker the page's policy blocks with an error
+        // event rather than by throwing, before it ever reports its status
+        let started = false;
+        worker.addEventListener('error', function(e) {
+            if (started) {
+                return;
+            }
+            worker.terminate();
+            ctx.signal(ctx.csp.enabled ? 'csp.worker-blocked' : 'worker.blocked', {
+                url: ctx.csp.workerUrl || 'blob',
+                error: e && e.message ? String(e.message) : null
+            });
+        }, { signal: listeners.signal });
+
+        const stalls = trackTiming(ctx, 'heartbeat', ctx.thresholds.mainThreadStall);
+        const drift = trackTiming(ctx, 'workerDrift', ctx.thresholds.workerTimeDrift);
+        // Worker and main thread time of the last heartbeat received while visible
+        let last = null;
+
+        worker.addEventListener('message', function(e) {
+            started = true;
+            if (e.data.type === 'status') {
+                if (e.data.status === 'compromised') {
+                    ctx.signal('worker.compromised', {});
+                }
+                return;
+            }
+
+            const received = env.performance.timeOrigin + env.performance.now();
+            const previous = last;
+            if (env.document.visibilityState === 'hidden') {
+                last = null;
+                return;
+            }
+            last = { sent: e.data.time, received: received };
+            if (!previous) {
+                return;
+            }
+
+            const lag = Math.max(0, (received - previous.received) - (e.data.time - previous.sent));
+            const verdict = stalls.sample(lag);
+            if (verdict && verdict.outlier) {
+                ctx.signal('worker.main-thread-stall', {
+                    lag: lag,
+                    median: verdict.median,
+                    limit: verdict.limit
+                });
+                return;
+            }
+
+            // Check timing inconsistencies between worker and main thread
+            // clocks. Heartbeats can spend a while in the queue, so the time
+            // one took to arrive is taken out of the difference.
+            const timeDiff = Math.abs(env.Date.now() - e.data.date - (received - e.data.time));
+            const driftVerdict = drift.sample(timeDiff);
+            if (driftVerdict && driftVerdict.outlier) { // Significant time discrepancy
+                ctx.signal('worker.clock-drift', {
+                    drift: driftVerdict.value,
+                    median: driftVerdict.median,
+                    limit: driftVerdict.limit
+                });
+            }
+        }, { signal: listeners.signal });
+
+        function update() {
+            last = null;
+            if (env.document.visibilityState === 'hidden') {
+                worker.postMessage({ command: 'stop' });
+            } else {
+                worker.postMessage({ command: 'start', interval: ctx.heartbeat.interval });
+            }
+        }
+        env.document.addEventListener('visibilitychange', update, { signal: listeners.signal });
+        update();
+
+    } catch (e) {
+        // Web Workers not supported or being intercepted. In CSP mode, a
+        // worker the page's policy blocks is reported as csp.violation.
+        if (!ctx.csp.enabled && e.toString().indexOf('SecurityError') !== -1) {
+            ctx.signal('worker.blocked', {
+                error: String(e)
+            });
+        }
+    }
+}
+
+// Final nuclear option - if all else fails
+function listenForDevtoolsChange(ctx) {
+    const env = ctx.env;
+    const listeners = new env.window.AbortController();
+    ctx.onDispose(() => listeners.abort());
+
+    env.window.addEventListener('devtoolschange', (e) => {
+        if (e.detail.open) {
+            ctx.signal('devtools.change-event', {
+                detail: e.detail
+            });
+        }
+    }, { signal: listeners.signal });
+}
+
+// ==================== VIOLATION HISTORY ====================
+// Every time protection triggers, the signal, level, score and time are
+// stored, in IndexedDB or else localStorage. On the next page load the
+// history adds a single weighted signal to the score instead of triggering
+// by itself, so one false positive can't lock a user out. Past violations
+// count half as much every `history.halfLife` and are dropped after
+// `history.maxAge`. Tabs share the history: each one tells the others what it
+// saved, over a BroadcastChannel and through localStorage `storage` events.
+
+const HISTORY_DATABASE = 'chromium_browser_detection';
+const HISTORY_STORE = 'violations';
+const HISTORY_KEY = 'chromium_browser_detection_violations';
+
+function trackViolationHistory(ctx) {
+    const env = ctx.env;
+    const options = ctx.history;
+    const store = createHistoryStore(env);
+    if (!store) {
+        return;
+    }
+
+    // Violations stored so far, null until the history is loaded, and those
+    // recorded in the meantime
+    let entries = null;
+    const recorded = [];
+    let active = true;
+
+    // Tells the other tabs what this one saved. A channel never receives its
+    // own messages.
+    const channel = typeof env.window.BroadcastChannel === 'function'
+        ? new env.window.BroadcastChannel(HISTORY_KEY)
+        : null;
+
+    // Adds what was recorded to what is stored now, which other tabs may
+    // have added to since this one last read it
+    function save() {
+        const pending = recorded.splice(0);
+        store.update(stored => pruneViolations(mergeViolations(stored, pending), options, Date.now()))
+            .then(saved => {
+                entries = saved;
+                if (channel && active) {
+                    channel.postMessage(saved);
+                }
+            }, () => {
+                // Storage full or blocked, the violations only count in this page
+                entries = pruneViolations(mergeViolations(entries, pending), options, Date.now());
+            });
     }
 
-    // Time manipulation detection
-    if ((new Date()).getTime() - performance.now() > 9) {
-        triggerProtection();
+    violationTracker = {
+        record: function(event) {
+            recorded.push({
+                signal: event.signal.id,
+                level: event.level,
+                score: event.score,
+                time: event.time
+            });
+            if (entries !== null) {
+                save();
+            }
+        },
+        clear: function() {
+            entries = entries === null ? null : [];
+            recorded.length = 0;
+        }
+    };
+
+    const listeners = new env.window.AbortController();
+    ctx.onDispose(() => {
+        active = false;
+        listeners.abort();
+        if (channel) {
+            channel.close();
+        }
+        violationTracker = null;
+    });
+
+    // Without any usable storage the history starts empty and stays in this page
+    store.load().catch(() => []).then(loaded => {
+        if (!active) {
+            return;
+        }
+        entries = pruneViolations(loaded, options, Date.now());
+
+        const weight = weighViolations(entries, options, Date.now());
+        if (weight >= ctx.thresholds.violationCount) {
+            ctx.signal('history.violations', {
+                count: entries.length,
+                weight: weight,
+                threshold: ctx.thresholds.violationCount,
+                lastTime: entries[entries.length - 1].time
+            });
+        }
+        if (recorded.length) {
+            save();
+        }
+    });
+
+    // Other tabs add their violations to the stored ones, or clear them
+    // through clearViolationHistory. One dropping violations that haven't
+    // expired any other way is tampering.
+    function receive(value) {
+        if (!active || entries === null) {
+            return;
+        }
+        if (isClearedHistory(value)) {
+            entries = [];
+            return;
+        }
+        const incoming = Array.isArray(value) ? value : [];
+        const merged = pruneViolations(mergeViolations(entries, incoming), options, Date.now());
+        const missing = merged.filter(entry => !incoming.some(other => isSameViolation(entry, other)));
+        if (missing.length) {
+            ctx.signal('history.counter-reset', {
+                count: merged.length,
+                newCount: merged.length - missing.length
+            });
+        }
+        entries = merged;
     }
 
-    // Function toString tampering detection
-    if (Function.prototype.toString.toString().indexOf('native') === -1) {
-        triggerProtection();
+    env.window.addEventListener('storage', (e) => {
+        if (e.key === HISTORY_KEY) {
+            receive(parseHistory(e.newValue));
+        }
+    }, { signal: listeners.signal });
+    if (channel) {
+        channel.addEventListener('message', e => receive(e.data), { signal: listeners.signal });
     }
-    
-    // NEW: detectDevtoolsDOMRect - Uses DOMRect properties to detect DevTools
-    detectDevtoolsDOMRect();
 }
 
-function executeSecondaryProtections() {
-    /**
-     * Medium-weight checks that run less frequently
-     */
-    
-    // Debugger function detection
+// Valid entries that haven't expired, oldest first, at most maxEntries
+function pruneViolations(entries, options, now) {
+    return entries
+        .filter(entry => entry && typeof entry.signal === 'string' && typeof entry.time === 'number' &&
+            now - entry.time <= options.maxAge)
+        .sort((a, b) => a.time - b.time)
+        .slice(-options.maxEntries);
+}
+
+// `entries` with those of `added` it doesn't have yet
+function mergeViolations(entries, added) {
+    return entries.concat(added.filter(entry => !entries.some(other => isSameViolation(entry, other))));
+}
+
+function isSameViolation(a, b) {
+    return Boolean(a && b) && a.signal === b.signal && a.level === b.level && a.time === b.time;
+}
+
+// What a violation still counts for after decay
+function decayViolation(entry, options, now) {
+    return Math.pow(0.5, Math.max(0, now - entry.time) / options.halfLife);
+}
+
+function weighViolations(entries, options, now) {
+    return entries.reduce((sum, entry) => sum + decayViolation(entry, options, now), 0);
+}
+
+// The stored history as written: an array of entries, a cleared marker, or
+// null when there is none
+function parseHistory(value) {
     try {
-        const debuggerTest = new Function('debugger;');
-        if (debuggerTest.toString().length !== 15) { // Normal: "function anonymous() { debugger; }"
-            triggerProtection();
-        }
+        return JSON.parse(value);
     } catch (e) {
-        triggerProtection();
+        return null;
     }
+}
 
-    // Performance monitoring detection
-    const start = performance.now();
-    (() => {}).toString();
-    const duration = performance.now() - start;
-    if (duration > 1) { // Breakpoints slow down execution
-        triggerProtection();
-    }
-
-    // DevTools user agent detection (partial matching)
-    if (navigator.userAgent.match(/Firefox|Chrome|Safari|Edge|DevTools|Inspect/gi)) {
-        triggerProtection();
-    }
-    
-    // NEW: Screen vs window dimensions analysis
-    if (window.screen.width && window.innerWidth) {
-        const screenRatio = window.screen.width / window.screen.height;
-        const windowRatio = window.innerWidth / window.innerHeight;
-        if (Math.abs(screenRatio - windowRatio) > 0.3) { // Significant difference indicates DevTools
-            triggerProtection();
-        }
-    }
-    
-    // NEW: Check if web page is in an iframe
-    if (window !== window.top) {
-        // Check if iframe is sandboxed (often used for code inspection)
-        try {
-            window.top.location.toString();
-        } catch (e) {
-            triggerProtection();
-        }
+function parseViolations(value) {
+    const entries = parseHistory(value);
+    return Array.isArray(entries) ? entries : [];
+}
+
+// clearViolationHistory leaves { cleared: time } in place of the entries, so
+// other tabs can tell it from the history being deleted
+function isClearedHistory(value) {
+    return Boolean(value) && !Array.isArray(value) && typeof value.cleared === 'number';
+}
+
+// Tells the tabs tracking the history about `value`, e.g. that it was cleared
+function broadcastHistory(env, value) {
+    if (typeof env.window.BroadcastChannel !== 'function') {
+        return;
     }
+    const channel = new env.window.BroadcastChannel(HISTORY_KEY);
+    channel.postMessage(value);
+    channel.close();
 }
 
-function executeTertiaryProtections() {
-    /**
-     * Heavy checks that run less frequently
-     */
-    
-    // Function redefinition detection
-    const originalToString = Function.prototype.toString;
-    Function.prototype.toString = function() {
-        if (this === originalToString) {
-            triggerProtection();
-        }
-        return originalToString.call(this);
+// The history in IndexedDB, falling back to localStorage when IndexedDB is
+// missing or fails (as in some private modes), or null without either
+function createHistoryStore(env) {
+    const local = createLocalHistoryStore(env);
+    if (!env.window.indexedDB) {
+        return local;
+    }
+
+    const indexed = createIndexedHistoryStore(env.window.indexedDB);
+    if (!local) {
+        return indexed;
+    }
+    return {
+        load: () => indexed.load().catch(() => local.load()),
+        update: change => indexed.update(change).catch(() => local.update(change)),
+        clear: marker => Promise.all([
+            indexed.clear(marker).catch(() => {}),
+            local.clear(marker)
+        ])
     };
+}
 
-    // Console method tampering detection
-    ['log', 'error', 'warn', 'info', 'debug', 'trace'].forEach(method => {
-        if (console[method].toString().indexOf('native') === -1) {
-            triggerProtection();
+function createIndexedHistoryStore(indexedDB) {
+    let database = null;
+
+    function open() {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(HISTORY_DATABASE, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(HISTORY_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-    });
+        return database;
+    }
 
-    // Eval length tampering detection
-    if (eval.length !== 0) { // Normal eval has length 0
-        triggerProtection();
+    // Runs `operation` on the object store and resolves with the result of
+    // its request once the transaction completes
+    function transact(mode, operation) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = operation(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
     }
-    
-    // NEW: CSS computed property inspection for DevTools elements
-    detectDevToolsElementsByCSSProperties();
-    
-    // NEW: Error stack trace analyzer
-    analyzeErrorStackTrace();
+
+    return {
+        load: () => transact('readonly', store => store.get(HISTORY_KEY))
+            .then(entries => Array.isArray(entries) ? entries : []),
+        // Reads, changes and writes the entries in one transaction, so tabs
+        // saving at once don't overwrite each other
+        update: change => {
+            let updated;
+            return transact('readwrite', store => {
+                const request = store.get(HISTORY_KEY);
+                request.onsuccess = () => {
+                    updated = change(Array.isArray(request.result) ? request.result : []);
+                    store.put(updated, HISTORY_KEY);
+                };
+                return request;
+            }).then(() => updated);
+        },
+        clear: marker => transact('readwrite', store => store.put(marker, HISTORY_KEY))
+    };
 }
 
-function executeQuaternaryProtections() {
-    /**
-     * Heavy and sophisticated checks that run infrequently
-     */
-    
-    // NEW: Check for isolated script execution (webdriver or headless environment)
-    detectIsolatedScriptExecution();
-    
-    // NEW: Set up mutation observer traps
-    setupMutationObserverTraps();
-    
-    // NEW: Deploy shadow DOM inspection traps
-    deployShadowDOMInspectionTraps();
-    
-    // NEW: Monitor Web Worker activity
-    monitorWebWorkerActivity();
-    
-    // NEW: Detect timezone manipulation (often used in automated tools)
-    detectTimezoneManipulation();
-    
-    // NEW: Random property access timing analysis
-    analyzePropertyAccessTiming();
-}
-
-// ==================== NEW DETECTION TECHNIQUES ====================
-
-function detectDevtoolsDOMRect() {
-    // Create a dummy element to measure
-    const el = document.createElement('div');
-    el.style.cssText = 'position:fixed;top:0;left:0;width:1px;height:1px;';
-    document.body.appendChild(el);
-    
-    // Get its bounding rectangle
-    const rect = el.getBoundingClientRect();
-    
-    // Inspect properties that DevTools may modify
-    if (rect.top !== 0 || rect.left !== 0 || 
-        rect.width !== 1 || rect.height !== 1 ||
-        rect.x !== 0 || rect.y !== 0) {
-        triggerProtection();
+function createLocalHistoryStore(env) {
+    let storage;
+    try {
+        storage = env.window.localStorage;
+        if (!storage) {
+            return null;
+        }
+    } catch (e) {
+        // Storage disabled
+        return null;
     }
-    
-    document.body.removeChild(el);
+
+    return {
+        load: () => Promise.resolve().then(() => parseViolations(storage.getItem(HISTORY_KEY))),
+        update: change => Promise.resolve().then(() => {
+            const updated = change(parseViolations(storage.getItem(HISTORY_KEY)));
+            storage.setItem(HISTORY_KEY, JSON.stringify(updated));
+            return updated;
+        }),
+        clear: marker => Promise.resolve().then(() => storage.setItem(HISTORY_KEY, JSON.stringify(marker)))
+    };
 }
 
-function detectDevToolsElementsByCSSProperties() {
-    // Create detection elements with specific characteristics
-    const elements = Array.from({length: 3}, () => {
-        const el = document.createElement('div');
-        el.id = 'detection-' + Math.random().toString(36).substr(2);
-        el.style.cssText = 'position:absolute;height:0;width:0;opacity:0';
-        document.body.appendChild(el);
-        return el;
+// Environment and history options of the running instance, else of `options`
+function resolveHistoryContext(options) {
+    if (config) {
+        return { env: config.environment, history: config.history };
+    }
+    options = options || {};
+    return {
+        env: createEnvironment(options.environment),
+        history: Object.assign({}, DEFAULT_OPTIONS.history, options.history)
+    };
+}
+
+/**
+ * Resolves with the stored violations that haven't expired, oldest first:
+ * { signal, level, score, time, weight }, where `weight` is what the
+ * violation still counts for after decay. Reads the history of the running
+ * instance, or with `options.environment` and `options.history` when
+ * protection isn't running.
+ */
+function getViolationHistory(options) {
+    const context = resolveHistoryContext(options);
+    const store = createHistoryStore(context.env);
+    if (!store) {
+        return Promise.resolve([]);
+    }
+
+    return store.load().catch(() => []).then(loaded => {
+        const now = Date.now();
+        return pruneViolations(loaded, context.history, now).map(entry => Object.assign({}, entry, {
+            weight: decayViolation(entry, context.history, now)
+        }));
     });
-    
-    // Check for DevTools-specific CSS properties or computed values
-    elements.forEach(el => {
-        const styles = window.getComputedStyle(el);
-        
-        // Check if DevTools has modified any style properties
-        if (styles.getPropertyValue('position') !== 'absolute' || 
-            styles.getPropertyValue('height') !== '0px' ||
-            styles.getPropertyValue('width') !== '0px' ||
-            styles.getPropertyValue('opacity') !== '0') {
-            triggerProtection();
-        }
-        
-        // Clean up
-        document.body.removeChild(el);
+}
+
+/**
+ * Deletes the stored violation history, e.g. for support after a false
+ * positive. Takes the same options as getViolationHistory. Other open tabs
+ * forget their violations too, without taking it for tampering.
+ */
+function clearViolationHistory(options) {
+    const context = resolveHistoryContext(options);
+    const store = createHistoryStore(context.env);
+    const marker = { cleared: Date.now() };
+    if (violationTracker) {
+        violationTracker.clear();
+    }
+    if (!store) {
+        return Promise.resolve();
+    }
+    return store.clear(marker).then(() => {
+        broadcastHistory(context.env, marker);
     });
 }
 
-function analyzeErrorStackTrace() {
-    try {
-        // Generate an error to analyze its stack trace
-        throw new Error('StackTraceAnalysis');
-    } catch (e) {
-        const stack = e.stack.toString();
-        
-        // Check for debugging-related frames in the stack
-        if (stack.indexOf('debugger') !== -1 ||
-            stack.indexOf('eval') !== -1 ||
-            stack.indexOf('at Function.') !== -1 ||
-            // Look for patterns indicating breakpoints or step debugging
-            (stack.match(/at/g) || []).length > 10) {
-            triggerProtection();
+// ==================== RESPONSE POLICIES ====================
+
+// Policy name -> handler. `requires` names a response option the policy
+// can't run without; it is checked when `init` resolves the options.
+const RESPONSE_POLICIES = {
+    report: { run: reportViolation },
+    callback: { run: invokeCallback, requires: 'callback' },
+    notice: { run: showNotice },
+    redirect: { run: redirectAway, requires: 'redirectUrl' },
+    signout: { run: signOut, requires: 'signOut' },
+    shield: { run: shieldProtectedContent },
+    destructive: { run: runDestructiveLayers }
+};
+
+let triggerCount = 0;
+
+const NOTICE_ID = 'protection-notice';
+
+function triggerProtection(signal, risk) {
+    const level = config.scoring.levels[risk.level];
+
+    triggerCount++;
+    const event = {
+        signal: signal,
+        level: level.name,
+        score: risk.score,
+        contributors: risk.contributors,
+        count: triggerCount,
+        time: signal.time
+    };
+
+    respond(event, level.policies || config.response.policies);
+}
+
+function respond(event, policies) {
+    const allowed = applyBypass(policies);
+    if (!allowed) {
+        bypass.pending.push({ event: event, policies: policies });
+        return;
+    }
+
+    // Debugging under a bypass doesn't count against the browser later
+    if (violationTracker && !bypass) {
+        violationTracker.record(event);
+    }
+
+    allowed.forEach(policy => {
+        if (isCoolingDown(policy, event.time)) {
+            return;
         }
-        
-        // Check if error.stack has been modified
-        if (!stack.includes('analyzeErrorStackTrace')) {
-            triggerProtection();
+        policyLastRun[policy] = event.time;
+
+        try {
+            RESPONSE_POLICIES[policy].run(event);
+        } catch (e) {
+            // A failing policy must not prevent the remaining ones from running
         }
+    });
+}
+
+function isCoolingDown(policy, now) {
+    const cooldown = typeof config.response.cooldown === 'object'
+        ? config.response.cooldown[policy] || 0
+        : config.response.cooldown;
+
+    return policyLastRun[policy] !== undefined &&
+        now - policyLastRun[policy] < cooldown;
+}
+
+function reportViolation(event) {
+    nativeConsole.warn('[chromium-browser-detection] Risk level "' + event.level +
+        '" reached (score ' + event.score.toFixed(2) + ') after ' + event.signal.id, event);
+}
+
+function invokeCallback(event) {
+    config.response.callback(event);
+}
+
+function showNotice() {
+    const doc = config.environment.document;
+    if (doc.getElementById(NOTICE_ID)) {
+        return;
     }
+
+    const notice = doc.createElement('div');
+    notice.id = NOTICE_ID;
+    notice.setAttribute('role', 'alert');
+    notice.style.cssText = 'position:fixed;left:0;right:0;bottom:0;z-index:2147483647;' +
+        'padding:12px 16px;background:#202124;color:#fff;font:14px/1.4 sans-serif;';
+    notice.textContent = config.response.notice;
+    doc.body.appendChild(notice);
 }
 
-function detectIsolatedScriptExecution() {
-    // Check for properties that might indicate isolated script running
-    const indicators = [
-        window.callPhantom !== undefined,
-        window._phantom !== undefined,
-        window.__nightmare !== undefined,
-        window.Buffer !== undefined,
-        window.domAutomation !== undefined,
-        window.domAutomationController !== undefined,
-        navigator.webdriver === true,
-        window.webdriver !== undefined,
-        window.document.documentElement.getAttribute('webdriver') !== null,
-        navigator.plugins.length === 0,  // Often zero in isolated environments
-        navigator.languages.length === 0
-    ];
-    
-    if (indicators.some(indicator => indicator)) {
-        triggerProtection();
+function removeNotice() {
+    const notice = config.environment.document.getElementById(NOTICE_ID);
+    if (notice) {
+        notice.remove();
     }
-    
-    // Consistency checks in browser environment
-    if (navigator.platform === '' || 
-        navigator.userAgent === '' ||
-        !('ondevicelight' in window) !== !('DeviceLightEvent' in window)) {
-        triggerProtection();
+}
+
+function redirectAway() {
+    config.environment.window.location.assign(config.response.redirectUrl);
+}
+
+function signOut(event) {
+    config.response.signOut(event);
+}
+
+// ==================== CONTENT SHIELD ====================
+// The 'shield' policy protects the content of elements marked `data-protect`
+// instead of the whole page. The attribute value picks how: 'blur', 'hide'
+// (keeps the layout) or 'placeholder' (swaps in `data-protect-placeholder`
+// or the default text); empty uses `response.shield.mode`. Shielded elements
+// are inert and hidden from assistive technology, and a polite live region
+// announces the change. Elements marked later are shielded as they appear.
+// Everything is restored once the score drops below the level that raised
+// the shield.
+
+const SHIELD_MODES = ['blur', 'hide', 'placeholder'];
+
+const SHIELD_STATUS_ID = 'protection-shield-status';
+
+// The raised shield: { threshold, observer, timer, elements }, where
+// `elements` maps each shielded element to what restores it
+let shield = null;
+
+function shieldProtectedContent(event) {
+    if (shield) {
+        return;
+    }
+
+    const env = config.environment;
+    const level = config.scoring.levels.filter(candidate => candidate.name === event.level)[0];
+    shield = {
+        threshold: level ? level.score : event.score,
+        elements: new Map(),
+        observer: new env.window.MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    shieldElement(mutation.target);
+                }
+                forEachAddedElement(mutation, shieldTree);
+            });
+        }),
+        timer: setInterval(() => {
+            const risk = computeRisk(Date.now());
+            if (shield && risk.score < shield.threshold) {
+                // The level dropped with the score, so that rising back into
+                // it raises the shield again, cooldown or not
+                riskLevel = risk.level;
+                delete policyLastRun.shield;
+                liftShield(true);
+            }
+        }, config.response.shield.recheck)
+    };
+
+    shieldTree(env.document.documentElement);
+    shield.observer.observe(env.document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-protect']
+    });
+    announceShield(config.response.shield.shieldedMessage);
+}
+
+function shieldTree(root) {
+    if (root.hasAttribute('data-protect')) {
+        shieldElement(root);
     }
+    Array.from(root.querySelectorAll('[data-protect]')).forEach(shieldElement);
 }
 
-function setupMutationObserverTraps() {
-    // Create bait elements that will trigger when inspected
-    const baitElement = document.createElement('div');
-    baitElement.id = 'mutation-trap-' + Math.random().toString(36).substr(2);
-    baitElement.style.cssText = 'position:absolute;height:0;width:0;opacity:0';
-    baitElement.__defineGetter__('offsetHeight', function() {
-        triggerProtection();
-        return 0;
+function shieldElement(element) {
+    if (!element.hasAttribute('data-protect') || shield.elements.has(element)) {
+        return;
+    }
+
+    const doc = config.environment.document;
+    const mode = SHIELD_MODES.indexOf(element.getAttribute('data-protect')) !== -1
+        ? element.getAttribute('data-protect')
+        : config.response.shield.mode;
+    const saved = {};
+    ['style', 'aria-hidden', 'inert', 'data-protect-shielded'].forEach(name => {
+        saved[name] = element.getAttribute(name);
     });
-    document.body.appendChild(baitElement);
 
-    // Set up mutation observer to detect DOM modifications
-    const observer = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-            // Check if our bait elements are being targeted
-            if (mutation.target.id && mutation.target.id.startsWith('mutation-trap-')) {
-                triggerProtection();
-            }
-            
-            // Look for DevTools-specific elements
-            if (mutation.addedNodes.length) {
-                for (let i = 0; i < mutation.addedNodes.length; i++) {
-                    const node = mutation.addedNodes[i];
-                    if (node.nodeType === 1) { // ELEMENT_NODE
-                        if (node.tagName === 'IFRAME' || 
-                            node.id && node.id.includes('react-devtools') ||
-                            node.className && (
-                                String(node.className).includes('devtools') ||
-                                String(node.className).includes('inspector')
-                            )) {
-                            triggerProtection();
-                        }
-                    }
-                }
+    // Focus can't stay in content that becomes inert
+    if (doc.activeElement && doc.activeElement !== doc.body && element.contains(doc.activeElement)) {
+        doc.activeElement.blur();
+    }
+
+    element.setAttribute('aria-hidden', 'true');
+    element.setAttribute('inert', '');
+    element.setAttribute('data-protect-shielded', mode);
+    if (mode === 'blur') {
+        element.style.setProperty('filter', 'blur(8px)', 'important');
+        element.style.setProperty('user-select', 'none', 'important');
+    } else if (mode === 'hide') {
+        element.style.setProperty('visibility', 'hidden', 'important');
+    } else {
+        element.style.setProperty('display', 'none', 'important');
+        const placeholder = doc.createElement(element.tagName === 'SPAN' ? 'span' : 'div');
+        placeholder.className = 'protect-placeholder';
+        placeholder.textContent = element.getAttribute('data-protect-placeholder') ||
+            config.response.shield.placeholder;
+        element.parentNode.insertBefore(placeholder, element);
+        saved.placeholder = placeholder;
+    }
+
+    shield.elements.set(element, saved);
+}
+
+// Restores every shielded element. `announce` says so to assistive
+// technology; on dispose the live region is removed instead.
+function liftShield(announce) {
+    if (!shield) {
+        return;
+    }
+
+    shield.observer.disconnect();
+    clearInterval(shield.timer);
+    shield.elements.forEach((saved, element) => {
+        ['style', 'aria-hidden', 'inert', 'data-protect-shielded'].forEach(name => {
+            if (saved[name] === null) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, saved[name]);
             }
         });
-    });
-    
-    // Observe the entire document for changes
-    observer.observe(document.documentElement, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        characterData: true
+        if (saved.placeholder) {
+            saved.placeholder.remove();
+        }
+    });
+    shield = null;
+
+    if (announce) {
+        announceShield(config.response.shield.restoredMessage);
+    } else {
+        const region = config.environment.document.getElementById(SHIELD_STATUS_ID);
+        if (region) {
+            region.remove();
+        }
+    }
+}
+
+// Updates a visually hidden live region screen readers read out politely
+function announceShield(message) {
+    const doc = config.environment.document;
+    let region = doc.getElementById(SHIELD_STATUS_ID);
+    if (!region) {
+        region = doc.createElement('div');
+        region.id = SHIELD_STATUS_ID;
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+            'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+        doc.body.appendChild(region);
+    }
+    region.textContent = message;
+}
+
+// ==================== BYPASS TOKENS ====================
+// Signed tokens that let staff debug production pages. A token is
+// 'v1.' + base64url(JSON claims) + '.' + base64url(signature), signed with
+// ECDSA P-256 / SHA-256 over the first two parts (see issueBypassToken in the
+// server package). Claims: { sub, exp (ms timestamp), mode?, origin? }.
+
+const BYPASS_TOKEN_VERSION = 'v1';
+
+const BYPASS_MODES = ['report-only', 'disable'];
+
+// Bypass of the running instance: null without a token, then
+// { status: 'pending', source, pending } while the token is verified, and
+// { status: 'active', mode, subject, expiresAt, source } once it is valid
+let bypass = null;
+
+// Looks for a token and verifies it. Responses triggered meanwhile wait.
+function startBypassCheck() {
+    const settings = config;
+    const found = findBypassToken(settings.bypass, settings.environment);
+    if (!settings.bypass.publicKey || !found) {
+        return;
+    }
+
+    bypass = { status: 'pending', source: found.source, pending: [] };
+
+    verifyBypassToken(found.token, settings.bypass.publicKey, settings.environment).then(claims => {
+        if (config !== settings) {
+            return;
+        }
+        const pending = bypass.pending;
+        bypass = {
+            status: 'active',
+            mode: claims.mode || settings.bypass.mode,
+            subject: claims.sub,
+            expiresAt: claims.exp,
+            source: found.source
+        };
+        emitBypassSignal('bypass.accepted', {
+            subject: bypass.subject,
+            mode: bypass.mode,
+            expiresAt: bypass.expiresAt,
+            source: bypass.source
+        });
+        pending.forEach(entry => respond(entry.event, entry.policies));
+    }, error => {
+        if (config !== settings) {
+            return;
+        }
+        const pending = bypass.pending;
+        bypass = null;
+        emitBypassSignal('bypass.rejected', {
+            reason: error.message,
+            source: found.source
+        });
+        pending.forEach(entry => respond(entry.event, entry.policies));
     });
 }
 
-function deployShadowDOMInspectionTraps() {
-    // Create a shadow root with detection traps
-    const hostElement = document.createElement('div');
-    hostElement.id = 'shadow-host-' + Math.random().toString(36).substr(2);
-    document.body.appendChild(hostElement);
-    
-    try {
-        // Create shadow DOM
-        const shadowRoot = hostElement.attachShadow({mode: 'closed'});
-        
-        // Add content to shadow DOM
-        const shadowContent = document.createElement('div');
-        shadowContent.textContent = 'Protected Content';
-        shadowContent.__defineGetter__('textContent', function() {
-            triggerProtection();
-            return 'Protected Content';
+// The policies that may run under the current bypass, ending it once the
+// token has expired. null while the token is still being verified.
+function applyBypass(policies) {
+    if (!bypass) {
+        return policies;
+    }
+    if (bypass.status === 'pending') {
+        return null;
+    }
+
+    if (Date.now() >= bypass.expiresAt) {
+        emitBypassSignal('bypass.expired', {
+            subject: bypass.subject,
+            expiresAt: bypass.expiresAt
         });
-        shadowRoot.appendChild(shadowContent);
-        
-        // Set a trap to detect if anyone accesses the shadow root
-        const originalGetElementById = Document.prototype.getElementById;
-        Document.prototype.getElementById = function(id) {
-            const result = originalGetElementById.call(this, id);
-            if (id === hostElement.id && result === hostElement) {
-                // Check if someone is trying to access our shadow host
-                if (arguments.callee.caller && 
-                    arguments.callee.caller.toString().indexOf('getInternalReact') !== -1) {
-                    triggerProtection();
-                }
-            }
-            return result;
-        };
-    } catch (e) {
-        // Shadow DOM not supported or already being monitored
+        bypass = null;
+        return policies;
     }
+    return bypass.mode === 'disable' ? [] : ['report'];
+}
+
+// Bypass signals come from the host, not a detector
+function emitBypassSignal(id, evidence) {
+    emitSignal({
+        id: id,
+        detector: 'bypass',
+        tier: 'setup',
+        time: Date.now(),
+        evidence: evidence
+    });
 }
 
-function monitorWebWorkerActivity() {
-    // Create a dedicated worker to monitor for tampering
+// The `token` option wins over the query parameter, which wins over the cookie
+function findBypassToken(options, env) {
+    if (options.token) {
+        return { token: options.token, source: 'option' };
+    }
+
     try {
-        const workerCode = `
-            self.addEventListener('message', function(e) {
-                // Worker checks environment
-                const isSecure = (
-                    typeof self.importScripts === 'function' &&
-                    typeof self.postMessage === 'function'
-                );
-                
-                // Check if any expected functions are missing or modified
-                self.postMessage({
-                    status: isSecure ? 'secure' : 'compromised',
-                    time: Date.now()
-                });
-                
-                // Self-terminating worker
-                if (!isSecure) {
-                    self.close();
-                }
-            });
-        `;
-        
-        // Create a blob URL for the worker
-        const blob = new Blob([workerCode], {type: 'application/javascript'});
-        const workerURL = URL.createObjectURL(blob);
-        
-        // Create and start the worker
-        const worker = new Worker(workerURL);
-        
-        // Set up communication with the worker
-        worker.addEventListener('message', function(e) {
-            if (e.data.status === 'compromised') {
-                triggerProtection();
-            }
-            
-            // Check timing inconsistencies between worker and main thread
-            const timeDiff = Math.abs(Date.now() - e.data.time);
-            if (timeDiff > 100) { // Significant time discrepancy
-                triggerProtection();
-            }
-            
-            // Clean up
-            URL.revokeObjectURL(workerURL);
-        });
-        
-        // Send initial message to worker
-        worker.postMessage('check');
-        
-    } catch (e) {
-        // Web Workers not supported or being intercepted
-        if (e.toString().indexOf('SecurityError') !== -1) {
-            triggerProtection();
+        const token = new URLSearchParams(env.window.location.search).get(options.queryParam);
+        if (token) {
+            return { token: token, source: 'query' };
         }
+    } catch (e) {
+        // No location to read
     }
-}
 
-function detectTimezoneManipulation() {
-    // Store original Date methods
-    const originalGetTimezoneOffset = Date.prototype.getTimezoneOffset;
-    
-    // Check for inconsistencies in timezone reporting
-    const date = new Date();
-    const timezoneOffset = date.getTimezoneOffset();
-    
-    // Compare with Intl API results
     try {
-        const formatter = new Intl.DateTimeFormat();
-        const options = formatter.resolvedOptions();
-        
-        // Calculate expected offset based on timezone identifier
-        // This is a simplified check - real implementation would be more complex
-        const expectedOffset = getExpectedOffsetForTimeZone(options.timeZone);
-        
-        // If there's a large discrepancy, timezone might be faked
-        if (expectedOffset !== null && Math.abs(timezoneOffset - expectedOffset) > 60) {
-            triggerProtection();
+        const prefix = options.cookie + '=';
+        const cookie = env.document.cookie.split(';')
+            .map(part => part.trim())
+            .find(part => part.indexOf(prefix) === 0);
+        if (cookie) {
+            return { token: decodeURIComponent(cookie.slice(prefix.length)), source: 'cookie' };
         }
     } catch (e) {
-        // Intl API not supported or tampered with
-    }
-    
-    // Helper function to get expected offset for a timezone (simplified)
-    function getExpectedOffsetForTimeZone(timeZone) {
-        // This would be a mapping of timezone identifiers to expected offsets
-        // Simplified implementation returns null to avoid complexity
-        return null;
-    }
-    
-    // Check if Date methods have been tampered with
-    if (Date.prototype.getTimezoneOffset !== originalGetTimezoneOffset) {
-        triggerProtection();
+        // Cookies disabled
     }
+
+    return null;
 }
 
-function analyzePropertyAccessTiming() {
-    // Create a complex nested object structure
-    const complexObject = createComplexNestedObject(5, 5);
-    
-    // Measure access time for deep properties
-    const start = performance.now();
-    accessDeepProperties(complexObject, 5);
-    const duration = performance.now() - start;
-    
-    // In a debugging environment, property access would be significantly slower
-    if (duration > 15) { // Threshold depends on device performance
-        triggerProtection();
+/**
+ * Verifies a bypass token with `publicKey` (a JWK or CryptoKey) through
+ * WebCrypto. Resolves with the token's claims, or rejects with an Error whose
+ * message says why the token was refused.
+ */
+function verifyBypassToken(token, publicKey, env) {
+    env = env || createEnvironment();
+    const subtle = env.crypto && env.crypto.subtle;
+    if (!subtle) {
+        return Promise.reject(new Error('WebCrypto unavailable'));
     }
-    
-    // Helper to create a complex nested object
-    function createComplexNestedObject(depth, breadth, current = 0) {
-        if (current >= depth) return Math.random();
-        
-        const obj = {};
-        for (let i = 0; i < breadth; i++) {
-            const key = `prop_${current}_${i}`;
-            obj[key] = createComplexNestedObject(depth, breadth, current + 1);
+
+    const parts = String(token).split('.');
+    let claims;
+    let signature;
+    try {
+        if (parts.length !== 3 || parts[0] !== BYPASS_TOKEN_VERSION) {
+            throw new Error();
         }
-        return obj;
+        claims = JSON.parse(new TextDecoder().decode(decodeBase64Url(parts[1])));
+        signature = decodeBase64Url(parts[2]);
+    } catch (e) {
+        return Promise.reject(new Error('malformed token'));
     }
-    
-    // Helper to access all properties in a nested object
-    function accessDeepProperties(obj, maxDepth, currentDepth = 0) {
-        if (currentDepth >= maxDepth || typeof obj !== 'object' || obj === null) 
-            return;
-        
-        Object.keys(obj).forEach(key => {
-            const value = obj[key]; // Access the property
-            if (typeof value === 'object' && value !== null) {
-                accessDeepProperties(value, maxDepth, currentDepth + 1);
-            }
-        });
+
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' };
+    const key = publicKey.type === 'public'
+        ? Promise.resolve(publicKey)
+        : subtle.importKey('jwk', publicKey, algorithm, false, ['verify']);
+
+    return key.then(cryptoKey => subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        cryptoKey,
+        signature,
+        new TextEncoder().encode(parts[0] + '.' + parts[1])
+    )).then(valid => {
+        if (!valid) {
+            throw new Error('invalid signature');
+        }
+        if (typeof claims.exp !== 'number' || claims.exp <= Date.now()) {
+            throw new Error('expired');
+        }
+        if (claims.mode !== undefined && BYPASS_MODES.indexOf(claims.mode) === -1) {
+            throw new Error('unknown mode');
+        }
+        if (claims.origin !== undefined && claims.origin !== env.window.location.origin) {
+            throw new Error('origin mismatch');
+        }
+        return claims;
+    });
+}
+
+/**
+ * Returns the bypass in effect: { status, mode, subject, expiresAt, source },
+ * with status 'pending' while the token is verified, or null when there is
+ * none.
+ */
+function getBypass() {
+    if (!bypass) {
+        return null;
     }
+    return {
+        status: bypass.status,
+        mode: bypass.mode || null,
+        subject: bypass.subject || null,
+        expiresAt: bypass.expiresAt || null,
+        source: bypass.source
+    };
+}
+
+function decodeBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
 }
 
-// ==================== PROTECTION TRIGGERS ====================
+// ==================== DESTRUCTIVE LAYERS ====================
+// Only used by the opt-in 'destructive' response policy
 
-function triggerProtection() {
+function runDestructiveLayers() {
     // Multiple protection layers triggered simultaneously
-    
+
     // 1. Infinite debugger loop (primary)
     infiniteDebuggerLoop();
-    
+
     // 2. Console flooding (secondary)
     floodConsole();
-    
+
     // 3. Memory consumption (tertiary)
     consumeMemory();
-    
-    // 4. NEW: Browser tab crash attempt (quaternary)
+
+    // 4. Browser tab crash attempt (quaternary)
     attemptBrowserTabCrash();
-    
+
     // 5. Redirect or close window (nuclear option)
     // window.close(); // Uncomment for extreme measures
 }
@@ -541,12 +4175,20 @@ function infiniteDebuggerLoop() {
         () => { while(true) { debugger; } },
         () => { debugger; debugger; debugger; infiniteDebuggerLoop(); }
     ];
-    
+
     const randomDebugger = debuggers[Math.floor(Math.random() * debuggers.length)];
     randomDebugger();
 }
 
+let floodInterval = null;
+let memoryInterval = null;
+
 function floodConsole() {
+    // A single flood is enough, repeated triggers don't stack intervals
+    if (floodInterval) {
+        return;
+    }
+
     // Flood console with random data to obscure debugging
     const floodMessages = [
         "Debugging attempt detected",
@@ -558,8 +4200,8 @@ function floodConsole() {
         new Date().toISOString(),
         performance.now().toString()
     ];
-    
-    setInterval(() => {
+
+    floodInterval = setInterval(() => {
         const randomMessage = floodMessages[Math.floor(Math.random() * floodMessages.length)];
         try {
             console.log(randomMessage);
@@ -572,42 +4214,54 @@ function floodConsole() {
 }
 
 function consumeMemory() {
+    if (memoryInterval) {
+        return;
+    }
+
     // Gradually consume memory to slow down debugging tools
     const memoryHog = [];
-    setInterval(() => {
+    memoryInterval = setInterval(() => {
         memoryHog.push(new Array(1000).fill(Math.random()));
     }, 100);
 }
 
-// NEW: Added function to attempt crashing the browser tab
+// Ends the console flood and releases the consumed memory
+function stopDestructiveLayers() {
+    clearInterval(floodInterval);
+    clearInterval(memoryInterval);
+    floodInterval = null;
+    memoryInterval = null;
+}
+
+// Attempt to crash the browser tab
 function attemptBrowserTabCrash() {
     // Method 1: Force browser to compute expensive layout operations
     const crashDiv = document.createElement('div');
     crashDiv.style.cssText = 'position:absolute;width:1px;height:1px;';
     document.body.appendChild(crashDiv);
-    
+
     // Trigger expensive layout recalculations
     for (let i = 0; i < 5000; i++) {
         crashDiv.style.width = `${i % 10 + 1}px`;
         crashDiv.style.height = `${i % 10 + 1}px`;
         crashDiv.getBoundingClientRect(); // Force layout calculation
     }
-    
+
     // Method 2: Recursively create DOM elements until stack overflow or crash
     function createNestedElements(depth) {
         if (depth <= 0) return document.createElement('div');
-        
+
         const el = document.createElement('div');
         el.appendChild(createNestedElements(depth - 1));
         return el;
     }
-    
+
     try {
         document.body.appendChild(createNestedElements(500));
     } catch (e) {
         // Stack overflow occurred, continue with other methods
     }
-    
+
     // Method 3: Infinite regex with catastrophic backtracking
     try {
         const evilRegex = /^(a+)+$/;
@@ -618,242 +4272,471 @@ function attemptBrowserTabCrash() {
     }
 }
 
-// ==================== INITIAL PROTECTION SETUP ====================
+// ==================== BROWSER IDENTIFICATION ====================
 
-// Protect console methods with multiple layers
-['log', 'error', 'warn', 'info', 'debug', 'trace', 'table', 'dir'].forEach(method => {
-    Object.defineProperty(console, method, {
-        value: function() {
-            triggerProtection();
-            return undefined;
-        },
-        writable: false,
-        configurable: false
-    });
-});
+// Client Hints brand -> brand reported by detectBrowser, most specific first.
+// Chromium-based browsers list 'Chromium' as well, and a GREASE brand such as
+// 'Not-A.Brand' that means nothing.
+const CLIENT_HINT_BRANDS = [
+    ['Microsoft Edge WebView2', 'WebView2'],
+    ['Android WebView', 'WebView'],
+    ['Samsung Internet', 'Samsung Internet'],
+    ['Microsoft Edge', 'Edge'],
+    ['Opera GX', 'Opera'],
+    ['Opera', 'Opera'],
+    ['Brave', 'Brave'],
+    ['Vivaldi', 'Vivaldi'],
+    ['YaBrowser', 'Yandex'],
+    ['Yandex', 'Yandex'],
+    ['HeadlessChrome', 'Headless Chrome'],
+    ['Google Chrome', 'Chrome'],
+    ['Chromium', 'Chromium']
+];
 
-// Create deceptive objects that trigger protection when interacted with
-const deceptiveObjects = [
-    { toString: () => { triggerProtection(); return ""; } },
-    { valueOf: () => { triggerProtection(); return 0; } },
-    { then: (resolve) => { triggerProtection(); resolve(); } }
+// User agent token -> [engine, brand], most specific first. The version is
+// the number after the token.
+const USER_AGENT_BRANDS = [
+    [/Electron\/(\d+)/, 'Blink', 'Electron'],
+    [/SamsungBrowser\/(\d+)/, 'Blink', 'Samsung Internet'],
+    [/(?:OPR|OPT)\/(\d+)/, 'Blink', 'Opera'],
+    [/Vivaldi\/(\d+)/, 'Blink', 'Vivaldi'],
+    [/YaBrowser\/(\d+)/, 'Blink', 'Yandex'],
+    [/EdgiOS\/(\d+)/, 'WebKit', 'Edge'],
+    [/Edg(?:A)?\/(\d+)/, 'Blink', 'Edge'],
+    [/CriOS\/(\d+)/, 'WebKit', 'Chrome'],
+    [/FxiOS\/(\d+)/, 'WebKit', 'Firefox'],
+    [/HeadlessChrome\/(\d+)/, 'Blink', 'Headless Chrome'],
+    [/; wv\).*Chrome\/(\d+)/, 'Blink', 'WebView'],
+    [/Chrome\/(\d+)/, 'Blink', 'Chrome'],
+    [/Firefox\/(\d+)/, 'Gecko', 'Firefox'],
+    [/Version\/(\d+).*Safari\//, 'WebKit', 'Safari']
 ];
 
-deceptiveObjects.forEach(obj => {
-    try {
-        console.log(obj);
-    } catch (e) {
-        // Ignore errors
+// Brands only the user agent string tells apart from Chrome
+const USER_AGENT_ONLY_BRANDS = ['Electron', 'Samsung Internet', 'Opera', 'Vivaldi', 'Yandex', 'WebView'];
+
+/**
+ * Identifies the browser. Resolves with
+ * { engine, brand, version, fullVersion, platform, platformVersion, mobile, source }:
+ * `engine` is 'Blink', 'Gecko' or 'WebKit', `brand` e.g. 'Chrome', 'Edge',
+ * 'Brave', 'Opera', 'Vivaldi', 'Samsung Internet', 'Electron', 'WebView2',
+ * 'Firefox' or 'Safari', and `version` its major version. Unknown values are
+ * null.
+ *
+ * User-Agent Client Hints are read first, including the high entropy values
+ * unless `options.highEntropy` is false or the page's permissions policy
+ * withholds them (`source: 'high-entropy'`). Without Client Hints the user
+ * agent string is parsed (`source: 'user-agent'`). Brand globals such as
+ * `navigator.brave` take precedence over both. `options.environment` is the
+ * environment to inspect, as for `init`.
+ */
+function detectBrowser(options) {
+    options = options || {};
+    const env = createEnvironment(options.environment);
+    const navigator = env.navigator;
+    const result = parseUserAgent(navigator.userAgent || '', navigator.maxTouchPoints);
+    result.source = 'user-agent';
+
+    const hints = navigator.userAgentData;
+    let request = Promise.resolve(null);
+    if (hints && Array.isArray(hints.brands)) {
+        applyClientHints(result, hints.brands, hints);
+        result.source = 'client-hints';
+
+        if (options.highEntropy !== false && typeof hints.getHighEntropyValues === 'function') {
+            request = Promise.resolve()
+                .then(() => hints.getHighEntropyValues(['fullVersionList', 'platformVersion']))
+                .catch(() => null);
+        }
     }
-});
 
-// Protect against property access on window object
-const protectedProperties = ['a', 'b', 'debug', 'inspect', 'devtools'];
-protectedProperties.forEach(prop => {
-    Object.defineProperty(window, prop, {
-        get: () => {
-            triggerProtection();
-            return undefined;
-        },
-        set: () => triggerProtection(),
-        configurable: false,
-        enumerable: false
+    return request.then(values => {
+        if (values) {
+            applyClientHints(result, values.fullVersionList || hints.brands, values);
+            result.platformVersion = values.platformVersion || null;
+            result.source = 'high-entropy';
+        }
+        return isBrave(navigator);
+    }).then(brave => {
+        if (brave) {
+            result.brand = 'Brave';
+        }
+        return result;
     });
-});
+}
 
-// NEW: Protect against Symbol-keyed properties (often used to hide values)
-const secretSymbol = Symbol('protection');
-window[secretSymbol] = function() { return true; };
+// What the user agent string says: engine, brand and major version by the
+// first known token, and platform
+function parseUserAgent(userAgent, maxTouchPoints) {
+    const result = {
+        engine: null,
+        brand: null,
+        version: null,
+        fullVersion: null,
+        platform: null,
+        platformVersion: null,
+        mobile: /Mobi|iPhone|iPod/.test(userAgent)
+    };
 
-Object.defineProperty(Object.prototype, 'hasOwnProperty', {
-    value: function(prop) {
-        if (prop === secretSymbol || 
-            (typeof prop === 'symbol' && prop.toString().includes('Symbol('))) {
-            triggerProtection();
+    for (let i = 0; i < USER_AGENT_BRANDS.length; i++) {
+        const match = userAgent.match(USER_AGENT_BRANDS[i][0]);
+        if (match) {
+            result.engine = USER_AGENT_BRANDS[i][1];
+            result.brand = USER_AGENT_BRANDS[i][2];
+            result.version = Number(match[1]);
+            break;
         }
-        return Object.prototype.hasOwnProperty.call(this, prop);
-    },
-    configurable: false
-});
-
-// NEW: Protect against event listener manipulation
-const originalAddEventListener = EventTarget.prototype.addEventListener;
-EventTarget.prototype.addEventListener = function(type, listener, options) {
-    // Check if someone is trying to listen for our protection-related events
-    if (type === 'devtoolschange' || 
-        type === 'resize' || 
-        type === 'error' || 
-        type === 'unhandledrejection') {
-        triggerProtection();
-    }
-    
-    // Call original with a wrapped listener that we can monitor
-    return originalAddEventListener.call(this, type, function(event) {
-        // Check if this is a debugging-related event
-        if (event && event.constructor && 
-            event.constructor.name && 
-            event.constructor.name.includes('DevTools')) {
-            triggerProtection();
+    }
+
+    if (/iPhone|iPad|iPod/.test(userAgent)) {
+        result.platform = 'iOS';
+    } else if (/Macintosh/.test(userAgent)) {
+        // iPads ask for desktop sites with a Mac user agent, but have touch
+        result.platform = maxTouchPoints > 1 ? 'iOS' : 'macOS';
+    } else {
+        const platform = CLIENT_HINT_PLATFORMS.filter(entry => entry[0].test(userAgent))[0];
+        result.platform = platform ? platform[1] : null;
+    }
+
+    return result;
+}
+
+// Takes engine, brand and version from a Client Hints brand list (low
+// entropy `brands` or `fullVersionList`), and platform and mobile from
+// `values`. Brands the user agent string found but Client Hints don't list,
+// such as Electron, are kept.
+function applyClientHints(result, brands, values) {
+    let hinted = null;
+    for (let i = 0; i < CLIENT_HINT_BRANDS.length && !hinted; i++) {
+        brands.forEach(entry => {
+            if (!hinted && entry.brand === CLIENT_HINT_BRANDS[i][0]) {
+                hinted = { brand: CLIENT_HINT_BRANDS[i][1], version: entry.version };
+            }
+        });
+    }
+
+    if (hinted) {
+        result.engine = 'Blink';
+        const generic = hinted.brand === 'Chrome' || hinted.brand === 'Chromium';
+        if (!generic || USER_AGENT_ONLY_BRANDS.indexOf(result.brand) === -1) {
+            result.brand = hinted.brand;
+            result.version = parseInt(hinted.version, 10) || null;
+            result.fullVersion = hinted.version.indexOf('.') !== -1 ? hinted.version : null;
         }
-        
-        return listener.apply(this, arguments);
-    }, options);
-};
+    }
+    if (values.platform) {
+        result.platform = values.platform;
+    }
+    if (typeof values.mobile === 'boolean') {
+        result.mobile = values.mobile;
+    }
+}
 
-// ==================== ADVANCED DETECTION TECHNIQUES ====================
+// Brave looks exactly like Chrome apart from navigator.brave
+function isBrave(navigator) {
+    if (!navigator.brave || typeof navigator.brave.isBrave !== 'function') {
+        return Promise.resolve(false);
+    }
+    return Promise.resolve()
+        .then(() => navigator.brave.isBrave())
+        .then(Boolean, () => false);
+}
 
-// Detect breakpoints by comparing expected vs actual execution time
-function detectBreakpoints() {
-    const testCode = `const start = performance.now();
-    for(let i = 0; i < 1000; i++) { Math.sqrt(i); }
-    return performance.now() - start;`;
-    
-    const normalTime = (new Function(testCode))();
-    const currentTime = (new Function(testCode))();
-    
-    if (currentTime > normalTime * 5) { // Significant slowdown
-        triggerProtection();
-    }
-}
-
-// Detect if code is being beautified/minified
-function detectCodeModification() {
-    const originalFunctionLength = executePrimaryProtections.toString().length;
-    const currentFunctionLength = detectCodeModification.toString().length;
-    
-    // If function lengths don't match expectations
-    if (Math.abs(currentFunctionLength - originalFunctionLength) > 100) {
-        triggerProtection();
-    }
-}
-
-// NEW: Detect if the script is being run in an emulated or fake environment
-function detectEmulatedEnvironment() {
-    // Check for inconsistencies in browser features
-    const checks = [
-        // Check if navigator properties match what we'd expect
-        navigator.hardwareConcurrency < 1,
-        
-        // Check for WebGL inconsistencies (common in emulated environments)
-        (() => {
-            try {
-                const canvas = document.createElement('canvas');
-                const gl = canvas.getContext('webgl');
-                if (!gl) return true; // WebGL should be available in modern browsers
-                
-                // Get WebGL info
-                const renderer = gl.getParameter(gl.RENDERER);
-                const vendor = gl.getParameter(gl.VENDOR);
-                
-                // Check for emulated GPU signs
-                return renderer.includes('SwiftShader') || 
-                       renderer.includes('llvmpipe') ||
-                       vendor.includes('VMware') ||
-                       renderer.includes('Virtual');
-            } catch (e) {
-                return true;
+// ==================== TELEMETRY ====================
+
+/**
+ * Creates a reporter that batches signals and POSTs them to
+ * `options.endpoint` along with a session id, the script version and an
+ * environment summary. Batches are sent with fetch (keepalive) and retried
+ * with exponential backoff; once `listen` is called, pending signals are
+ * flushed with navigator.sendBeacon when the page is hidden or unloaded.
+ * Everything the reporter uses comes from `env`, by default the global
+ * environment (see `createEnvironment`).
+ */
+function createReporter(options, env) {
+    options = Object.assign({}, DEFAULT_OPTIONS.telemetry, options);
+    if (!options.endpoint) {
+        throw new Error('Telemetry requires an "endpoint" option');
+    }
+    env = env || createEnvironment();
+
+    const sessionId = options.sessionId || getSessionId(env);
+
+    // Sessions are sampled once, so a sampled-out session never reports
+    const sampled = Math.random() < options.sampleRate;
+
+    let queue = [];
+    let flushTimer = null;
+
+    // Numbers every payload so the server can reject replayed reports
+    const pageToken = options.pageToken || '';
+
+    function add(signal) {
+        if (!sampled) {
+            return;
+        }
+
+        const rate = lookupBySignalId(options.signalSampleRates, signal.id);
+        if (rate !== undefined && Math.random() >= rate) {
+            return;
+        }
+
+        // Repeats of a queued signal are folded into one entry
+        const queued = queue.find(entry => entry.id === signal.id);
+        if (queued) {
+            queued.count++;
+            queued.lastSeen = signal.time;
+            queued.evidence = signal.evidence;
+        } else {
+            if (queue.length >= options.maxQueueSize) {
+                queue.shift();
             }
-        })(),
-        
-        // Check for audio processing capabilities
-        (() => {
-            try {
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                // Real browsers should have reasonable limits
-                return audioContext.sampleRate < 8000 || audioContext.sampleRate > 96000;
-            } catch (e) {
-                return true;
+            queue.push({
+                id: signal.id,
+                detector: signal.detector,
+                tier: signal.tier,
+                time: signal.time,
+                lastSeen: signal.time,
+                count: 1,
+                evidence: signal.evidence
+            });
+        }
+
+        if (queue.length >= options.batchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, options.flushInterval);
+        }
+    }
+
+    /**
+     * Sends everything queued. `useBeacon` is for page teardown, where
+     * there is no time left for retries. Resolves once every batch was
+     * delivered or dropped.
+     */
+    function flush(useBeacon) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        const entries = queue;
+        queue = [];
+
+        return Promise.all(buildPayloads(entries).map(body =>
+            useBeacon ? sendBeacon(body) : sendWithRetry(body, 0)
+        )).then(() => undefined);
+    }
+
+    function buildPayloads(entries) {
+        const batches = [];
+        let batch = [];
+
+        // Sizes are measured with the largest possible sequence number
+        const fits = signals =>
+            byteLength(serialize(signals, Number.MAX_SAFE_INTEGER)) <= options.maxPayloadBytes;
+
+        entries.forEach(entry => {
+            const candidate = batch.concat(entry);
+            if (batch.length &&
+                (candidate.length > options.batchSize || !fits(candidate))) {
+                batches.push(batch);
+                batch = [entry];
+            } else {
+                batch = candidate;
             }
-        })()
-    ];
-    
-    if (checks.some(check => check === true)) {
-        triggerProtection();
+        });
+        if (batch.length) {
+            batches.push(batch);
+        }
+
+        // A single oversized entry loses its evidence, or is dropped entirely
+        return batches.map(signals => {
+            if (fits(signals)) {
+                return signals;
+            }
+            const entry = Object.assign({}, signals[0], { evidence: { truncated: true } });
+            return fits([entry]) ? [entry] : null;
+        }).filter(signals => signals !== null).map(signals => {
+            const seq = reportSequences[pageToken] || 0;
+            reportSequences[pageToken] = seq + 1;
+            return serialize(signals, seq);
+        });
     }
-}
 
-// NEW: Monitor for specific performance patterns that indicate debugging
-function monitorPerformancePatterns() {
-    let lastFrameTime = performance.now();
-    let suspiciousFrames = 0;
-    
-    // Check frame timing
-    function checkFrame() {
-        const now = performance.now();
-        const frameDuration = now - lastFrameTime;
-        
-        // Normal frames should be around 16.7ms (60fps)
-        // When debugging, frames often freeze for longer periods
-        if (frameDuration > 100) { // More than 100ms indicates possible debugging pause
-            suspiciousFrames++;
-            
-            if (suspiciousFrames >= 3) { // Allow a few slow frames before triggering
-                triggerProtection();
+    function serialize(signals, seq) {
+        const risk = getRisk();
+        return JSON.stringify({
+            sessionId: sessionId,
+            pageToken: options.pageToken || undefined,
+            seq: seq,
+            version: VERSION,
+            sentAt: Date.now(),
+            environment: summarizeEnvironment(env),
+            risk: { score: risk.score, level: risk.level },
+            signals: signals
+        });
+    }
+
+    function send(body) {
+        if (typeof env.window.fetch !== 'function') {
+            return Promise.reject(new Error('fetch is unavailable'));
+        }
+        // text/plain keeps the request CORS-simple, for fetch and sendBeacon alike
+        return env.window.fetch(options.endpoint, {
+            method: 'POST',
+            body: body,
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            keepalive: true,
+            credentials: 'omit'
+        }).then(response => {
+            if (!response.ok) {
+                const error = new Error('Telemetry endpoint responded with ' + response.status);
+                // Client errors won't succeed on retry
+                error.retryable = response.status >= 500 || response.status === 429;
+                throw error;
             }
-        } else {
-            // Gradually reduce suspicious frame count for normal operation
-            suspiciousFrames = Math.max(0, suspiciousFrames - 0.2);
+        });
+    }
+
+    function sendWithRetry(body, attempt) {
+        return send(body).catch(error => {
+            if (error.retryable === false || attempt >= options.maxRetries) {
+                return; // Dropped; telemetry must never break the page
+            }
+            return new Promise(resolve => {
+                setTimeout(resolve, options.retryDelay * Math.pow(2, attempt));
+            }).then(() => sendWithRetry(body, attempt + 1));
+        });
+    }
+
+    function sendBeacon(body) {
+        const navigator = env.navigator;
+        if (navigator && typeof navigator.sendBeacon === 'function' &&
+            navigator.sendBeacon(options.endpoint, body)) {
+            return Promise.resolve();
         }
-        
-        lastFrameTime = now;
-        requestAnimationFrame(checkFrame);
+        return send(body).catch(() => undefined);
+    }
+
+    /**
+     * Flushes with sendBeacon on pagehide and when the page becomes hidden.
+     * Returns a function that removes the listeners again.
+     */
+    function listen() {
+        const win = env.window;
+        const document = env.document;
+        const onPageHide = () => flush(true);
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                flush(true);
+            }
+        };
+
+        // Outside a browser there is no page to leave
+        if (typeof win.addEventListener === 'function') {
+            win.addEventListener('pagehide', onPageHide);
+        }
+        if (document) {
+            document.addEventListener('visibilitychange', onVisibilityChange);
+        }
+
+        return function() {
+            if (typeof win.removeEventListener === 'function') {
+                win.removeEventListener('pagehide', onPageHide);
+            }
+            if (document) {
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            }
+        };
     }
-    
-    requestAnimationFrame(checkFrame);
+
+    return {
+        sessionId: sessionId,
+        add: add,
+        flush: flush,
+        listen: listen
+    };
 }
 
-// ==================== FINAL SETUP ====================
+function getSessionId(env) {
+    const storageKey = 'chromium_browser_detection_session';
+    try {
+        const stored = env.window.sessionStorage.getItem(storageKey);
+        if (stored) {
+            return stored;
+        }
+    } catch (e) {
+        // sessionStorage unavailable, the id then lasts for this page only
+    }
+
+    const id = env.crypto && typeof env.crypto.randomUUID === 'function'
+        ? env.crypto.randomUUID()
+        : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+
+    try {
+        env.window.sessionStorage.setItem(storageKey, id);
+    } catch (e) {
+        // See above
+    }
+    return id;
+}
 
-// Run initial detection checks
-executePrimaryProtections();
-executeSecondaryProtections();
-executeTertiaryProtections();
-executeQuaternaryProtections();
+// Coarse environment description sent with every batch. The URL is reduced
+// to origin and path so query strings never leave the page.
+function summarizeEnvironment(env) {
+    const summary = {};
+    const win = env.window;
 
-// Start periodic advanced detection
-setInterval(detectBreakpoints, 5000);
-setInterval(detectCodeModification, 10000);
-setInterval(detectEmulatedEnvironment, 15000);
+    if (env.navigator) {
+        summary.userAgent = env.navigator.userAgent;
+        summary.language = env.navigator.language;
+        summary.platform = env.navigator.platform;
+    }
+    if (win.screen) {
+        summary.screen = win.screen.width + 'x' + win.screen.height;
+        summary.viewport = win.innerWidth + 'x' + win.innerHeight;
+        summary.devicePixelRatio = win.devicePixelRatio;
+    }
+    if (win.location) {
+        summary.url = win.location.origin + win.location.pathname;
+    }
+    try {
+        summary.timeZone = env.Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (e) {
+        // Intl unavailable
+    }
 
-// Set up performance pattern monitoring
-monitorPerformancePatterns();
+    return summary;
+}
 
-// Final nuclear option - if all else fails
-window.addEventListener('devtoolschange', (e) => {
-    if (e.detail.open) {
-        triggerProtection();
-    }
-});
-
-// NEW: Set Persistent Storage to detect repeated debugging attempts
-try {
-    // Store information about previous protection triggers
-    const storageKey = 'security_violation_count';
-    let violationCount = parseInt(localStorage.getItem(storageKey) || '0');
-    
-    // If multiple violations have occurred, increase protection aggressiveness
-    if (violationCount > 3) {
-        // Extreme protection: immediately trigger on page load
-        setTimeout(triggerProtection, Math.random() * 1000 + 500);
-    }
-    
-    // Set up storage event to detect tampering with localStorage
-    window.addEventListener('storage', (e) => {
-        if (e.key === storageKey && parseInt(e.newValue) < violationCount) {
-            // Someone tried to reset the violation counter
-            triggerProtection();
-        }
-    });
-    
-    // Update violation count when protection is triggered
-    const originalTriggerProtection = triggerProtection;
-    triggerProtection = function() {
-        violationCount++;
-        localStorage.setItem(storageKey, violationCount.toString());
-        originalTriggerProtection();
-    };
-} catch (e) {
-    // Private browsing or localStorage disabled
+function byteLength(text) {
+    return typeof TextEncoder !== 'undefined'
+        ? new TextEncoder().encode(text).length
+        : unescape(encodeURIComponent(text)).length;
 }
 
-// Note: This script intentionally doesn't display any content as per requirements
+// ==================== PUBLIC API ====================
+
+return {
+    init: init,
+    dispose: dispose,
+    on: on,
+    off: off,
+    getRisk: getRisk,
+    scoreSignals: scoreSignals,
+    getBypass: getBypass,
+    getAutomationCatalog: getAutomationCatalog,
+    getViolationHistory: getViolationHistory,
+    clearViolationHistory: clearViolationHistory,
+    answerFrameChallenges: answerFrameChallenges,
+    createIntegrityManifest: createIntegrityManifest,
+    detectBrowser: detectBrowser,
+    verifyBypassToken: verifyBypassToken,
+    runDetectors: runDetectors,
+    createEnvironment: createEnvironment,
+    createReporter: createReporter,
+    createScheduler: createScheduler,
+    version: VERSION,
+    detectors: Object.keys(DETECTORS)
+};
+
+}));
@@ -0,0 +1,520 @@
+/**
+ * REFERENCE SERVER FOR DETECTION REPORTS
+ *
+ * Receives the batches sent by the client-side telemetry reporter
+ * (`createReporter` in script.js), so detections can be acted on server-side,
+ * e.g. by requiring step-up authentication for a risky session.
+ *
+ * - Page tokens: `issuePageToken` signs a per-page-load nonce with HMAC-SHA256.
+ *   Render it into the page and pass it as `telemetry.pageToken`. Reports with
+ *   a missing, forged or expired token are rejected, a token is bound to the
+ *   first session that uses it, and each payload sequence number is accepted
+ *   only once per token, so reports can't be replayed.
+ * - Schema validation of every report.
+ * - Per-session rate limiting.
+ * - Per-session risk kept behind a pluggable async store (in memory by default).
+ * - Bypass tokens: `issueBypassToken` signs an expiring ECDSA P-256 token that
+ *   lets staff debug pages protected with `bypass.publicKey` (see script.js).
+ *
+ * Usage:
+ *
+ *     const { createReportHandler, issuePageToken } = require('chromium-browser-detection/server');
+ *
+ *     const handler = createReportHandler({ secret: process.env.REPORT_SECRET });
+ *     http.createServer((req, res) => {
+ *         if (req.url === '/detections') return handler(req, res);
+ *         // ...render pages with issuePageToken({ secret: process.env.REPORT_SECRET })
+ *     });
+ *
+ *     // Later, e.g. at login or checkout:
+ *     const session = await handler.getSession(sessionId);
+ *     if (session && session.maxScore >= 6) requireStepUp();
+ */
+const crypto = require('crypto');
+
+// ==================== CONFIGURATION ====================
+
+const DEFAULT_OPTIONS = {
+    secret: null,               // HMAC key for page tokens, required
+    tokenMaxAge: 86400000,      // ms a page token stays valid
+    maxBodyBytes: 65536,        // matches the client's sendBeacon/keepalive quota
+    maxSignals: 500,            // signals per report
+    rateLimit: {
+        window: 60000,          // ms, from a session's first report in it
+        max: 30                 // reports per session and window
+    },
+    store: null,                // see createMemoryStore, defaults to one
+    onReport: null              // function(report, session), may return a promise
+};
+
+const TOKEN_VERSION = 'v1';
+
+const SIGNAL_ID_PATTERN = /^[a-z0-9][a-z0-9.-]{0,127}$/i;
+
+// ==================== PAGE TOKENS ====================
+
+/**
+ * Issues a token for one page load: a random nonce and the issue time,
+ * signed with HMAC-SHA256 under `options.secret`.
+ */
+function issuePageToken(options) {
+    if (!options || !options.secret) {
+        throw new Error('Page tokens require a "secret" option');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const issuedAt = String(options.now || Date.now());
+    const body = [TOKEN_VERSION, nonce, issuedAt].join('.');
+
+    return body + '.' + sign(options.secret, body);
+}
+
+/**
+ * Verifies a page token against `options.secret`. Returns { nonce, issuedAt }
+ * for a valid token, or null when it is malformed, forged or older than
+ * `options.maxAge` (defaults to the handler's tokenMaxAge).
+ */
+function verifyPageToken(token, options) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(options.secret, parts.slice(0, 3).join('.')));
+    const actual = Buffer.from(parts[3]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const issuedAt = Number(parts[2]);
+    const now = options.now || Date.now();
+    const maxAge = options.maxAge || DEFAULT_OPTIONS.tokenMaxAge;
+    if (!Number.isFinite(issuedAt) || issuedAt > now || now - issuedAt > maxAge) {
+        return null;
+    }
+
+    return { nonce: parts[1], issuedAt: issuedAt };
+}
+
+function sign(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// ==================== BYPASS TOKENS ====================
+
+const BYPASS_MODES = ['report-only', 'disable'];
+
+/**
+ * Issues a bypass token for `options.subject`, e.g. an engineer's email,
+ * valid for `options.expiresIn` ms (one hour by default). `options.privateKey`
+ * is an ECDSA P-256 private key (KeyObject or PEM) whose public half is given
+ * to the page as `bypass.publicKey` in JWK form:
+ *
+ *     const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+ *     const jwk = publicKey.export({ format: 'jwk' });
+ *
+ * `options.mode` ('report-only' or 'disable') overrides the page's bypass
+ * mode, and `options.origin` restricts the token to one origin.
+ */
+function issueBypassToken(options) {
+    if (!options || !options.privateKey || !options.subject) {
+        throw new Error('Bypass tokens require "privateKey" and "subject" options');
+    }
+    if (options.mode !== undefined && BYPASS_MODES.indexOf(options.mode) === -1) {
+        throw new Error('Unknown bypass mode: ' + options.mode);
+    }
+
+    const claims = {
+        sub: options.subject,
+        exp: (options.now || Date.now()) + (options.expiresIn || 3600000),
+        mode: options.mode,
+        origin: options.origin
+    };
+    const body = TOKEN_VERSION + '.' + Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+    // WebCrypto verifies raw (r || s) signatures, not DER
+    const signature = crypto.sign('sha256', Buffer.from(body), {
+        key: options.privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+    return body + '.' + signature.toString('base64url');
+}
+
+// ==================== STORES ====================
+
+/**
+ * In-memory implementation of the store interface. Any object with the same
+ * three promise-returning methods can be passed as `options.store`, e.g. one
+ * backed by Redis when running several server processes:
+ *
+ *     get(key)          -> Promise<value | undefined>
+ *     set(key, value)   -> Promise
+ *     delete(key)       -> Promise
+ *
+ * Entries expire `ttl` ms after they were last written. An expired entry is
+ * dropped when it is next read, and the rest at most once per `sweepInterval`
+ * ms, so a write doesn't walk the whole map.
+ *
+ * The handler checks each page's sequence numbers one report at a time, but
+ * only within its own process. With several processes sharing a store, route
+ * a page's reports to one process (e.g. by page token), or a replayed report
+ * racing the original can be accepted twice.
+ */
+function createMemoryStore(options) {
+    const ttl = (options && options.ttl) || 86400000;
+    const sweepInterval = (options && options.sweepInterval) || 60000;
+    const entries = new Map();
+    let nextSweep = Date.now() + sweepInterval;
+
+    function sweep(now) {
+        if (now < nextSweep) {
+            return;
+        }
+        nextSweep = now + sweepInterval;
+        entries.forEach((entry, key) => {
+            if (entry.expires <= now) {
+                entries.delete(key);
+            }
+        });
+    }
+
+    return {
+        get: function(key) {
+            const entry = entries.get(key);
+            if (entry && entry.expires <= Date.now()) {
+                entries.delete(key);
+                return Promise.resolve(undefined);
+            }
+            return Promise.resolve(entry && entry.value);
+        },
+        set: function(key, value) {
+            const now = Date.now();
+            sweep(now);
+            entries.set(key, { value: value, expires: now + ttl });
+            return Promise.resolve();
+        },
+        delete: function(key) {
+            entries.delete(key);
+            return Promise.resolve();
+        }
+    };
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Validates a parsed report against the schema the client reporter sends.
+ * Returns a list of problems, empty when the report is valid.
+ */
+function validateReport(report, options) {
+    const errors = [];
+    const maxSignals = (options && options.maxSignals) || DEFAULT_OPTIONS.maxSignals;
+
+    if (!isObject(report)) {
+        return ['report must be an object'];
+    }
+
+    if (!isString(report.sessionId, 128)) {
+        errors.push('sessionId must be a non-empty string of at most 128 characters');
+    }
+    if (!isString(report.pageToken, 512)) {
+        errors.push('pageToken must be a non-empty string');
+    }
+    if (!Number.isInteger(report.seq) || report.seq < 0) {
+        errors.push('seq must be a non-negative integer');
+    }
+    if (!isString(report.version, 32)) {
+        errors.push('version must be a string');
+    }
+    if (!Number.isFinite(report.sentAt)) {
+        errors.push('sentAt must be a timestamp');
+    }
+    if (report.environment !== undefined && !isObject(report.environment)) {
+        errors.push('environment must be an object');
+    }
+    if (!isObject(report.risk) || !Number.isFinite(report.risk.score) ||
+        (report.risk.level !== null && typeof report.risk.level !== 'string')) {
+        errors.push('risk must be { score: number, level: string | null }');
+    }
+
+    if (!Array.isArray(report.signals) || report.signals.length === 0) {
+        errors.push('signals must be a non-empty array');
+    } else if (report.signals.length > maxSignals) {
+        errors.push('signals must not contain more than ' + maxSignals + ' entries');
+    } else {
+        report.signals.forEach((signal, index) => {
+            const prefix = 'signals[' + index + ']';
+            if (!isObject(signal)) {
+                errors.push(prefix + ' must be an object');
+                return;
+            }
+            if (typeof signal.id !== 'string' || !SIGNAL_ID_PATTERN.test(signal.id)) {
+                errors.push(prefix + '.id must be a signal id');
+            }
+            if (!isString(signal.detector, 64) || !isString(signal.tier, 64)) {
+                errors.push(prefix + ' must name its detector and tier');
+            }
+            if (!Number.isFinite(signal.time) || !Number.isFinite(signal.lastSeen)) {
+                errors.push(prefix + ' must have time and lastSeen timestamps');
+            }
+            if (!Number.isInteger(signal.count) || signal.count < 1) {
+                errors.push(prefix + '.count must be a positive integer');
+            }
+            if (!isObject(signal.evidence)) {
+                errors.push(prefix + '.evidence must be an object');
+            }
+        });
+    }
+
+    return errors;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isString(value, maxLength) {
+    return typeof value === 'string' && value.length > 0 && value.length <= maxLength;
+}
+
+// ==================== HANDLER ====================
+
+/**
+ * Creates a request handler for detection reports. It works as a plain
+ * `http` request listener and as Connect/Express middleware; a body already
+ * parsed by earlier middleware (as text or JSON) is used as-is.
+ *
+ * Responds with 204 for an accepted report, 400 for an invalid one, 401 for a
+ * bad page token, 405 for anything but POST, 409 for a replay, 413 for an
+ * oversized body and 429 when the session is rate limited.
+ *
+ * The handler exposes `getSession(sessionId)`, resolving to the stored
+ * session: { sessionId, reports, signals, risk, maxScore, firstSeen, updatedAt }.
+ */
+function createReportHandler(options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    options.rateLimit = Object.assign({}, DEFAULT_OPTIONS.rateLimit, options.rateLimit);
+    if (!options.secret) {
+        throw new Error('The report handler requires a "secret" option');
+    }
+
+    const store = options.store || createMemoryStore({ ttl: options.tokenMaxAge });
+
+    // Session id -> { start, count } of its current rate limit window. Kept
+    // per process on purpose: limits protect this process, the store is for
+    // state worth sharing.
+    const reportCounts = new Map();
+    let nextSweep = Date.now() + options.rateLimit.window;
+
+    // Page key -> the last claim queued for it, see withPageLock
+    const pageLocks = new Map();
+
+    function isRateLimited(sessionId, now) {
+        const since = now - options.rateLimit.window;
+
+        // Forget sessions whose window has ended, at most once per window
+        if (now >= nextSweep) {
+            nextSweep = now + options.rateLimit.window;
+            reportCounts.forEach((counter, key) => {
+                if (counter.start <= since) {
+                    reportCounts.delete(key);
+                }
+            });
+        }
+
+        let counter = reportCounts.get(sessionId);
+        if (!counter || counter.start <= since) {
+            counter = { start: now, count: 0 };
+            reportCounts.set(sessionId, counter);
+        }
+
+        if (counter.count >= options.rateLimit.max) {
+            return true;
+        }
+        counter.count++;
+        return false;
+    }
+
+    async function handleReport(body) {
+        let report;
+        try {
+            report = typeof body === 'string' ? JSON.parse(body) : body;
+        } catch (e) {
+            return { status: 400, errors: ['body must be JSON'] };
+        }
+
+        const errors = validateReport(report, options);
+        if (errors.length) {
+            return { status: 400, errors: errors };
+        }
+
+        const now = Date.now();
+        const token = verifyPageToken(report.pageToken, {
+            secret: options.secret,
+            maxAge: options.tokenMaxAge,
+            now: now
+        });
+        if (!token) {
+            return { status: 401, errors: ['invalid page token'] };
+        }
+
+        if (isRateLimited(report.sessionId, now)) {
+            return { status: 429, errors: ['too many reports'] };
+        }
+
+        const rejected = await claimReport(report, token);
+        if (rejected) {
+            return rejected;
+        }
+
+        const session = await recordReport(report, now);
+        if (options.onReport) {
+            await options.onReport(report, session);
+        }
+        return { status: 204 };
+    }
+
+    // A page token belongs to the first session that reports with it, and
+    // each sequence number is accepted once. Resolves with the response for
+    // a report that can't be claimed, else null.
+    function claimReport(report, token) {
+        const pageKey = 'page:' + token.nonce;
+        return withPageLock(pageKey, async () => {
+            const page = (await store.get(pageKey)) || { sessionId: report.sessionId, seqs: [] };
+            if (page.sessionId !== report.sessionId) {
+                return { status: 401, errors: ['page token belongs to another session'] };
+            }
+            if (page.seqs.indexOf(report.seq) !== -1) {
+                return { status: 409, errors: ['report already received'] };
+            }
+            page.seqs.push(report.seq);
+            await store.set(pageKey, page);
+            return null;
+        });
+    }
+
+    // Runs `task` once every earlier task for `key` has settled. The client
+    // sends a page's batches in parallel, and the store's get and set aren't
+    // atomic together, so a page record is only read and written by one
+    // report at a time.
+    function withPageLock(key, task) {
+        const result = (pageLocks.get(key) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {});
+        pageLocks.set(key, settled);
+        settled.then(() => {
+            if (pageLocks.get(key) === settled) {
+                pageLocks.delete(key);
+            }
+        });
+        return result;
+    }
+
+    async function recordReport(report, now) {
+        const sessionKey = 'session:' + report.sessionId;
+        const session = (await store.get(sessionKey)) || {
+            sessionId: report.sessionId,
+            reports: 0,
+            signals: {},
+            risk: null,
+            maxScore: 0,
+            firstSeen: now,
+            updatedAt: now
+        };
+
+        session.reports++;
+        session.updatedAt = now;
+        session.risk = report.risk;
+        session.maxScore = Math.max(session.maxScore, report.risk.score);
+
+        report.signals.forEach(signal => {
+            const seen = session.signals[signal.id] || { count: 0, firstSeen: signal.time };
+            seen.count += signal.count;
+            seen.lastSeen = Math.max(seen.lastSeen || 0, signal.lastSeen);
+            session.signals[signal.id] = seen;
+        });
+
+        await store.set(sessionKey, session);
+        return session;
+    }
+
+    function handler(req, res, next) {
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            return respond(res, { status: 405, errors: ['method not allowed'] });
+        }
+
+        readBody(req, options.maxBodyBytes)
+            .then(body => body === null
+                ? { status: 413, errors: ['body too large'] }
+                : handleReport(body))
+            .then(result => respond(res, result))
+            .catch(error => {
+                if (typeof next === 'function') {
+                    next(error);
+                } else {
+                    respond(res, { status: 500, errors: ['internal error'] });
+                }
+            });
+    }
+
+    handler.getSession = function(sessionId) {
+        return store.get('session:' + sessionId);
+    };
+
+    return handler;
+}
+
+// Resolves to the raw body, null when it exceeds `maxBytes`
+function readBody(req, maxBytes) {
+    // Body parsers consume the stream; one that skipped this request (e.g. a
+    // JSON parser seeing text/plain) may still leave an empty req.body behind
+    if (req.body !== undefined && req.readableEnded) {
+        const size = typeof req.body === 'string'
+            ? Buffer.byteLength(req.body)
+            : Buffer.byteLength(JSON.stringify(req.body));
+        return Promise.resolve(size > maxBytes ? null : req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                tooLarge = true;
+                chunks.length = 0;
+            } else if (!tooLarge) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            resolve(tooLarge ? null : Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+function respond(res, result) {
+    res.statusCode = result.status;
+    if (result.errors) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ errors: result.errors }));
+    } else {
+        res.end();
+    }
+}
+
+module.exports = {
+    createReportHandler: createReportHandler,
+    createMemoryStore: createMemoryStore,
+    issuePageToken: issuePageToken,
+    issueBypassToken: issueBypassToken,
+    verifyPageToken: verifyPageToken,
+    validateReport: validateReport
+};
@@ -0,0 +1,200 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    init,
+    dispose,
+    runDetectors,
+    getAutomationCatalog,
+    scoreSignals
+} = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+const publishedCatalog = require('../markers/automation.json');
+
+let current = null;
+
+// Runs isolatedScript in a browser that has plugins and a platform, unlike
+// jsdom, with `options.navigator` and `options.window` applied on top
+function run(options) {
+    options = Object.assign({}, options);
+    current = createTestEnvironment({
+        window: options.window,
+        navigator: Object.assign({ plugins: { length: 3 }, platform: 'Win32' }, options.navigator)
+    });
+    return runDetectors(Object.assign({
+        detectors: ['isolatedScript'],
+        environment: current.env
+    }, options.settings));
+}
+
+function ids(signals) {
+    return signals.map(signal => signal.id);
+}
+
+// A catalog with a single marker for the `__testDriver` global
+function catalog(version) {
+    return {
+        version: version,
+        markers: [{
+            id: 'test-driver',
+            framework: 'test-driver',
+            conclusive: true,
+            weight: 5,
+            confidence: 0.5,
+            match: [{ in: 'window', property: '__testDriver' }]
+        }]
+    };
+}
+
+afterEach(() => {
+    dispose();
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('automation markers', () => {
+    it('keeps the built-in catalog in sync with markers/automation.json', () => {
+        // Before init, getAutomationCatalog returns AUTOMATION_MARKERS
+        dispose();
+        assert.deepStrictEqual(getAutomationCatalog(), publishedCatalog,
+            'AUTOMATION_MARKERS in script.js differs from markers/automation.json');
+    });
+
+    it('exports the published catalog from the package', () => {
+        assert.strictEqual(require.resolve('chromium-browser-detection/markers/automation.json'),
+            require.resolve('../markers/automation.json'));
+    });
+
+    it('reports the framework a marker indicates', () => {
+        const signals = run({ navigator: { webdriver: true } });
+
+        assert.deepStrictEqual(ids(signals), ['automation.webdriver']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            framework: 'webdriver',
+            conclusive: true,
+            matched: ['navigator.webdriver'],
+            catalogVersion: publishedCatalog.version
+        });
+    });
+
+    it('finds the ChromeDriver element cache by name pattern', () => {
+        const signals = run({ window: { cdc_adoQpoasnfa76pfcZLmcfl_Array: [] } });
+
+        assert.deepStrictEqual(ids(signals), ['automation.chromedriver']);
+        assert.strictEqual(signals[0].evidence.framework, 'chromedriver');
+    });
+
+    it('marks weak markers as suggestive', () => {
+        const signals = run({ navigator: { plugins: { length: 0 } } });
+
+        assert.deepStrictEqual(ids(signals), ['automation.no-plugins']);
+        assert.strictEqual(signals[0].evidence.conclusive, false);
+    });
+
+    it('exempts touch devices from the missing plugins marker', () => {
+        const signals = run({ navigator: { plugins: { length: 0 }, maxTouchPoints: 5 } });
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('uses a catalog given as an option', () => {
+        const signals = run({
+            window: { __testDriver: {} },
+            navigator: { webdriver: true },
+            settings: { automation: { catalog: catalog(2) } }
+        });
+
+        assert.deepStrictEqual(ids(signals), ['automation.test-driver']);
+        assert.strictEqual(signals[0].evidence.catalogVersion, 2);
+    });
+
+    it('rejects malformed catalogs', () => {
+        const broken = catalog(2);
+        broken.markers[0].match = [{ in: 'localStorage', property: 'driver' }];
+
+        assert.throws(() => runDetectors({ automation: { catalog: broken } }),
+            /Invalid automation catalog: marker "test-driver" looks in unknown target localStorage/);
+        broken.markers[0].match = [{ in: 'window', pattern: '^__test(' }];
+        assert.throws(() => runDetectors({ automation: { catalog: broken } }),
+            /Invalid automation catalog: marker "test-driver" has an invalid pattern/);
+        assert.throws(() => runDetectors({ automation: { catalog: { markers: [] } } }),
+            /Invalid automation catalog/);
+    });
+});
+
+describe('automation.catalogUrl', () => {
+    // Starts protection with `fetch` answering with `body`, and waits for it
+    async function start(body, ok) {
+        const requests = [];
+        current = createTestEnvironment({
+            window: {
+                fetch: url => {
+                    requests.push(url);
+                    return Promise.resolve({
+                        ok: ok !== false,
+                        status: ok === false ? 404 : 200,
+                        json: () => Promise.resolve(body)
+                    });
+                }
+            }
+        });
+        init({
+            detectors: [],
+            environment: current.env,
+            automation: { catalogUrl: 'https://cdn.example.test/automation.json' }
+        });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return requests;
+    }
+
+    it('switches to a newer catalog', async () => {
+        const requests = await start(catalog(publishedCatalog.version + 1));
+
+        assert.deepStrictEqual(requests, ['https://cdn.example.test/automation.json']);
+        assert.strictEqual(getAutomationCatalog().version, publishedCatalog.version + 1);
+    });
+
+    it('keeps the current catalog over an older one', async () => {
+        await start(catalog(0));
+        assert.strictEqual(getAutomationCatalog().version, publishedCatalog.version);
+    });
+
+    it('keeps the current catalog when the request or the catalog fails', async () => {
+        await start(catalog(publishedCatalog.version + 1), false);
+        assert.strictEqual(getAutomationCatalog().version, publishedCatalog.version);
+
+        dispose();
+        current.close();
+        await start({ version: publishedCatalog.version + 1 });
+        assert.strictEqual(getAutomationCatalog().version, publishedCatalog.version);
+
+        const broken = catalog(publishedCatalog.version + 1);
+        broken.markers[0].match = [{ in: 'window', pattern: '[' }];
+        dispose();
+        current.close();
+        await start(broken);
+        assert.strictEqual(getAutomationCatalog().version, publishedCatalog.version);
+    });
+});
+
+describe('scoreSignals', () => {
+    it('weighs catalog markers with their catalog weight', () => {
+        // webdriver: weight 8, confidence 1
+        assert.deepStrictEqual(scoreSignals(['automation.webdriver']), { score: 8, level: 'likely' });
+    });
+
+    it('stays clean below the first level', () => {
+        // Unlisted signals fall back to '*': weight 2, confidence 0.5
+        assert.deepStrictEqual(scoreSignals(['environment.webgl-renderer']), { score: 1, level: null });
+        assert.deepStrictEqual(scoreSignals([]), { score: 0, level: null });
+    });
+
+    it('counts each signal once and honours scoring options', () => {
+        const risk = scoreSignals(['environment.webgl-renderer', 'environment.webgl-renderer'], {
+            scoring: { weights: { 'environment.*': { weight: 6, confidence: 1 } } }
+        });
+
+        assert.deepStrictEqual(risk, { score: 6, level: 'likely' });
+    });
+});
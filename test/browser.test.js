@@ -0,0 +1,163 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { detectBrowser, runDetectors } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+const USER_AGENTS = {
+    chrome: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+        'Chrome/124.0.0.0 Safari/537.36',
+    electron: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+        'MyApp/1.4.0 Chrome/124.0.6367.243 Electron/30.4.0 Safari/537.36',
+    opera: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+        'Chrome/124.0.0.0 Safari/537.36 OPR/110.0.0.0',
+    samsung: 'Mozilla/5.0 (Linux; Android 13; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+        'SamsungBrowser/24.0 Chrome/117.0.0.0 Mobile Safari/537.36',
+    firefox: 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0',
+    safari: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 ' +
+        '(KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+    ipad: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 ' +
+        '(KHTML, like Gecko) Version/17.4 Safari/605.1.15'
+};
+
+function brands(list) {
+    return list.map(entry => ({ brand: entry[0], version: entry[1] }));
+}
+
+const CHROME_HINTS = {
+    brands: brands([['Chromium', '124'], ['Google Chrome', '124'], ['Not-A.Brand', '99']]),
+    mobile: false,
+    platform: 'Windows'
+};
+
+let environments = [];
+
+function createEnvironment(navigator) {
+    const environment = createTestEnvironment({ navigator: navigator });
+    environments.push(environment);
+    return environment.env;
+}
+
+function detect(navigator, options) {
+    return detectBrowser(Object.assign({ environment: createEnvironment(navigator) }, options));
+}
+
+afterEach(() => {
+    environments.forEach(environment => environment.close());
+    environments = [];
+});
+
+describe('detectBrowser', () => {
+    it('reads Client Hints first', async () => {
+        const browser = await detect({ userAgent: USER_AGENTS.chrome, userAgentData: CHROME_HINTS });
+
+        assert.deepStrictEqual(browser, {
+            engine: 'Blink',
+            brand: 'Chrome',
+            version: 124,
+            fullVersion: null,
+            platform: 'Windows',
+            platformVersion: null,
+            mobile: false,
+            source: 'client-hints'
+        });
+    });
+
+    it('asks for high entropy values', async () => {
+        const requested = [];
+        const hints = Object.assign({}, CHROME_HINTS, {
+            getHighEntropyValues: keys => {
+                requested.push(keys);
+                return Promise.resolve({
+                    fullVersionList: brands([['Chromium', '124.0.6367.91'],
+                        ['Google Chrome', '124.0.6367.91'], ['Not-A.Brand', '99.0.0.0']]),
+                    platform: 'Windows',
+                    platformVersion: '15.0.0'
+                });
+            }
+        });
+        const browser = await detect({ userAgent: USER_AGENTS.chrome, userAgentData: hints });
+
+        assert.deepStrictEqual(requested, [['fullVersionList', 'platformVersion']]);
+        assert.strictEqual(browser.fullVersion, '124.0.6367.91');
+        assert.strictEqual(browser.platformVersion, '15.0.0');
+        assert.strictEqual(browser.source, 'high-entropy');
+    });
+
+    it('does without high entropy values when they are withheld or not wanted', async () => {
+        let asked = false;
+        const hints = Object.assign({}, CHROME_HINTS, {
+            getHighEntropyValues: () => {
+                asked = true;
+                return Promise.reject(new Error('NotAllowedError'));
+            }
+        });
+
+        let browser = await detect({ userAgent: USER_AGENTS.chrome, userAgentData: hints });
+        assert.strictEqual(asked, true);
+        assert.strictEqual(browser.source, 'client-hints');
+        assert.strictEqual(browser.version, 124);
+
+        asked = false;
+        browser = await detect({ userAgent: USER_AGENTS.chrome, userAgentData: hints }, { highEntropy: false });
+        assert.strictEqual(asked, false);
+    });
+
+    it('names Chromium-based brands from Client Hints', async () => {
+        const browser = await detect({
+            userAgent: USER_AGENTS.chrome + ' Edg/124.0.2478.67',
+            userAgentData: Object.assign({}, CHROME_HINTS, {
+                brands: brands([['Microsoft Edge', '124'], ['Chromium', '124'], ['Not-A.Brand', '99']])
+            })
+        });
+
+        assert.strictEqual(browser.brand, 'Edge');
+        assert.strictEqual(browser.version, 124);
+    });
+
+    it('recognizes Brave by navigator.brave', async () => {
+        const browser = await detect({
+            userAgent: USER_AGENTS.chrome,
+            userAgentData: CHROME_HINTS,
+            brave: { isBrave: () => Promise.resolve(true) }
+        });
+
+        assert.strictEqual(browser.brand, 'Brave');
+    });
+
+    it('keeps brands only the user agent names', async () => {
+        const browser = await detect({ userAgent: USER_AGENTS.electron, userAgentData: CHROME_HINTS });
+
+        assert.strictEqual(browser.brand, 'Electron');
+        assert.strictEqual(browser.version, 30);
+    });
+
+    it('parses the user agent without Client Hints', async () => {
+        const cases = [
+            [USER_AGENTS.opera, 'Blink', 'Opera', 110, 'Windows', false],
+            [USER_AGENTS.samsung, 'Blink', 'Samsung Internet', 24, 'Android', true],
+            [USER_AGENTS.firefox, 'Gecko', 'Firefox', 125, 'Linux', false],
+            [USER_AGENTS.safari, 'WebKit', 'Safari', 17, 'iOS', true]
+        ];
+
+        for (const [userAgent, engine, brand, version, platform, mobile] of cases) {
+            const browser = await detect({ userAgent: userAgent });
+            assert.deepStrictEqual(
+                [browser.engine, browser.brand, browser.version, browser.platform, browser.mobile, browser.source],
+                [engine, brand, version, platform, mobile, 'user-agent'],
+                userAgent);
+        }
+    });
+
+    it('tells an iPad asking for desktop sites from a Mac', async () => {
+        assert.strictEqual((await detect({ userAgent: USER_AGENTS.ipad, maxTouchPoints: 5 })).platform, 'iOS');
+        assert.strictEqual((await detect({ userAgent: USER_AGENTS.ipad, maxTouchPoints: 0 })).platform, 'macOS');
+    });
+});
+
+describe('userAgent detector', () => {
+    it('leaves ordinary browsers alone', () => {
+        const env = createEnvironment({ userAgent: USER_AGENTS.chrome });
+        assert.deepStrictEqual(runDetectors({ detectors: ['userAgent'], environment: env }), []);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { init, dispose, on, getBypass, verifyBypassToken } = require('../script.js');
+const { issueBypassToken } = require('../server');
+const { createTestEnvironment } = require('./helpers/environment');
+
+const keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const publicKey = keys.publicKey.export({ format: 'jwk' });
+const otherKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+function issue(options) {
+    return issueBypassToken(Object.assign({
+        privateKey: keys.privateKey,
+        subject: 'qa@example.test'
+    }, options));
+}
+
+let current = null;
+let unsubscribe = null;
+let signals = null;
+let responses = null;
+
+beforeEach(() => {
+    signals = [];
+    responses = [];
+    unsubscribe = on(signal => signals.push(signal));
+
+    const console = { warn: () => responses.push('report') };
+    current = createTestEnvironment({ console: console, navigator: { webdriver: true } });
+});
+
+afterEach(() => {
+    dispose();
+    unsubscribe();
+    current.close();
+});
+
+// Starts protection with a webdriver detection that escalates to 'likely'
+function start(bypass) {
+    init({
+        detectors: ['isolatedScript'],
+        environment: current.env,
+        response: {
+            policies: ['report', 'callback'],
+            callback: () => responses.push('callback')
+        },
+        bypass: Object.assign({ publicKey: publicKey }, bypass)
+    });
+}
+
+// Resolves once every listed signal id was emitted
+function waitFor(ids) {
+    return new Promise(resolve => {
+        (function check() {
+            if (ids.every(id => signals.some(signal => signal.id === id))) {
+                resolve();
+            } else {
+                setTimeout(check, 5);
+            }
+        })();
+    });
+}
+
+function find(id) {
+    return signals.find(signal => signal.id === id);
+}
+
+describe('bypass tokens', () => {
+    it('switches to report-only for a valid token given to init', async () => {
+        start({ token: issue() });
+        assert.strictEqual(getBypass().status, 'pending');
+
+        await waitFor(['bypass.accepted', 'automation.webdriver']);
+
+        assert.deepStrictEqual(responses, ['report']);
+        assert.strictEqual(getBypass().status, 'active');
+        assert.deepStrictEqual(Object.assign({}, find('bypass.accepted').evidence, { expiresAt: 0 }), {
+            subject: 'qa@example.test',
+            mode: 'report-only',
+            expiresAt: 0,
+            source: 'option'
+        });
+    });
+
+    it('disables responses when the token says so, read from the cookie', async () => {
+        current.window.document.cookie = 'cbd_bypass=' + issue({ mode: 'disable' });
+        start();
+
+        await waitFor(['bypass.accepted', 'automation.webdriver']);
+
+        assert.deepStrictEqual(responses, []);
+        assert.strictEqual(find('bypass.accepted').evidence.source, 'cookie');
+        assert.strictEqual(getBypass().mode, 'disable');
+    });
+
+    it('reads the token from the query string', async () => {
+        current.window.history.replaceState(null, '', '/?cbd_bypass=' + issue());
+        start({ mode: 'disable' });
+
+        await waitFor(['bypass.accepted', 'automation.webdriver']);
+
+        assert.deepStrictEqual(responses, []);
+        assert.strictEqual(find('bypass.accepted').evidence.source, 'query');
+    });
+
+    [
+        ['an expired token', () => issue({ now: Date.now() - 7200000 }), 'expired'],
+        ['a token signed with another key', () => issue({ privateKey: otherKeys.privateKey }), 'invalid signature'],
+        ['a token for another origin', () => issue({ origin: 'https://other.test' }), 'origin mismatch'],
+        ['a malformed token', () => 'v1.not-json.c2ln', 'malformed token']
+    ].forEach(([name, token, reason]) => {
+        it('rejects ' + name + ' and responds as usual', async () => {
+            start({ token: token() });
+
+            await waitFor(['bypass.rejected', 'automation.webdriver']);
+
+            assert.deepStrictEqual(responses.sort(), ['callback', 'report']);
+            assert.deepStrictEqual(find('bypass.rejected').evidence, { reason: reason, source: 'option' });
+            assert.strictEqual(getBypass(), null);
+        });
+    });
+
+    it('is ignored without a public key', async () => {
+        start({ publicKey: null, token: issue() });
+
+        await waitFor(['automation.webdriver']);
+
+        assert.strictEqual(getBypass(), null);
+        assert.deepStrictEqual(responses.sort(), ['callback', 'report']);
+    });
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => start({ mode: 'off' }), /Unknown bypass mode: off/);
+        assert.throws(() => issue({ mode: 'off' }), /Unknown bypass mode: off/);
+    });
+});
+
+describe('verifyBypassToken', () => {
+    it('resolves with the claims of a server-issued token', async () => {
+        const claims = await verifyBypassToken(issue({ mode: 'disable', origin: 'https://example.test' }),
+            publicKey, current.env);
+
+        assert.strictEqual(claims.sub, 'qa@example.test');
+        assert.strictEqual(claims.mode, 'disable');
+        assert.ok(claims.exp > Date.now());
+    });
+});
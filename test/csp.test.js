@@ -0,0 +1,249 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { init, dispose, getRisk, on, runDetectors } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+const WORKER_FILE = path.join(__dirname, '..', 'worker.js');
+
+let current = null;
+
+// A Function constructor refused by a policy without 'unsafe-eval'
+function BlockedFunction() {
+    throw new EvalError('Refused to evaluate a string as JavaScript because \'unsafe-eval\' is not an ' +
+        'allowed source of script');
+}
+BlockedFunction.prototype = Function.prototype;
+
+// A page under a strict policy; `trustedTypes` also enforces Trusted Types,
+// with the policies created recorded in `policies`
+function createStrictPage(options) {
+    options = options || {};
+    const workers = [];
+    const policies = [];
+    class FakeWorker {
+        constructor(url) {
+            if (options.blockWorkers) {
+                throw new Error('SecurityError: Failed to construct \'Worker\'');
+            }
+            this.url = url;
+            this.terminated = false;
+            this.listeners = {};
+            workers.push(this);
+            // Refused later with an error event, as Chromium and Firefox do
+            if (options.failWorkers) {
+                setImmediate(() => (this.listeners.error || []).forEach(listener => listener(new Error())));
+            }
+        }
+        addEventListener(type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        }
+        postMessage() {}
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    const window = {
+        Worker: FakeWorker,
+        URL: {
+            createObjectURL: () => 'blob:https://example.test/worker',
+            revokeObjectURL: () => {}
+        }
+    };
+    if (options.trustedTypes) {
+        window.trustedTypes = {
+            createPolicy: (name, rules) => {
+                policies.push(name);
+                return { createScriptURL: url => ({ trustedScriptURL: rules.createScriptURL(url) }) };
+            }
+        };
+    }
+
+    current = createTestEnvironment({ window: window, Function: BlockedFunction });
+    if (options.trustedTypes) {
+        Object.defineProperty(current.window.HTMLScriptElement.prototype, 'src', {
+            set: () => {
+                throw new TypeError('This document requires \'TrustedScriptURL\' assignment.');
+            },
+            configurable: true
+        });
+    }
+    return { workers: workers, policies: policies };
+}
+
+// Workers left running, leaving out those the capability probe stopped
+function running(page) {
+    return page.workers.filter(worker => !worker.terminated);
+}
+
+function run(detectors, csp) {
+    return runDetectors({ detectors: detectors, environment: current.env, csp: csp });
+}
+
+function dispatchViolation(target) {
+    const event = new current.window.Event('securitypolicyviolation', { bubbles: true });
+    Object.assign(event, {
+        effectiveDirective: 'worker-src',
+        blockedURI: 'blob',
+        sourceFile: 'https://example.test/script.js',
+        lineNumber: 12,
+        sample: '',
+        disposition: 'enforce'
+    });
+    target.dispatchEvent(event);
+}
+
+afterEach(() => {
+    dispose();
+    mock.timers.reset();
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('CSP mode', () => {
+    it('skips detectors that need eval and says so', () => {
+        createStrictPage();
+        const signals = run(['debuggerFunction', 'breakpoints', 'cspViolations'], { enabled: true });
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['csp.restricted']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            capabilities: { eval: false, trustedTypes: false, blobWorker: true },
+            skipped: ['debuggerFunction']
+        });
+    });
+
+    it('changes nothing outside CSP mode', () => {
+        createStrictPage();
+        assert.deepStrictEqual(run(['debuggerFunction'], { enabled: false }).map(signal => signal.id),
+            ['function.constructor-blocked']);
+        assert.throws(() => run(['breakpoints']), EvalError);
+    });
+
+    it('loads the static worker instead of a blob: URL', () => {
+        const page = createStrictPage();
+        run(['webWorker'], { enabled: true, workerUrl: '/assets/worker.js' });
+        assert.deepStrictEqual(running(page).map(worker => worker.url), ['/assets/worker.js']);
+    });
+
+    it('passes the worker URL through its Trusted Types policy', () => {
+        const page = createStrictPage({ trustedTypes: true });
+        const signals = run(['webWorker', 'cspViolations'], { enabled: true, workerUrl: '/assets/worker.js' });
+        run(['webWorker'], { enabled: true, workerUrl: '/assets/worker.js' });
+
+        assert.deepStrictEqual(signals[0].evidence.capabilities,
+            { eval: false, trustedTypes: true, blobWorker: true });
+        assert.deepStrictEqual(page.policies, ['chromium-browser-detection']);
+        assert.deepStrictEqual(running(page).map(worker => worker.url), [
+            { trustedScriptURL: '/assets/worker.js' },
+            { trustedScriptURL: '/assets/worker.js' }
+        ]);
+    });
+
+    it('skips the worker when blob: workers are blocked and there is no worker URL', () => {
+        createStrictPage({ blockWorkers: true });
+        const signals = run(['webWorker', 'cspViolations'], { enabled: true });
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['csp.restricted']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            capabilities: { eval: false, trustedTypes: false, blobWorker: false },
+            skipped: ['webWorker']
+        });
+
+        // The static worker may still be allowed
+        const withUrl = run(['webWorker', 'cspViolations'], { enabled: true, workerUrl: '/assets/worker.js' });
+        assert.deepStrictEqual(withUrl[0].evidence.skipped, []);
+    });
+
+    it('reports a worker the policy refuses after it was created', async () => {
+        const page = createStrictPage({ failWorkers: true });
+        const signals = run(['webWorker'], { enabled: true });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['csp.worker-blocked']);
+        assert.deepStrictEqual(signals[0].evidence, { url: 'blob', error: null });
+        assert.ok(page.workers.every(worker => worker.terminated));
+    });
+
+    it('doesn\'t count a blocked worker as tampering', () => {
+        createStrictPage({ blockWorkers: true });
+        assert.deepStrictEqual(run(['webWorker'], { enabled: true }), []);
+        assert.deepStrictEqual(run(['webWorker']).map(signal => signal.id), ['worker.blocked']);
+    });
+
+    it('reports violations as diagnostics without risk', () => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+        createStrictPage();
+        const signals = [];
+        on(signal => signals.push(signal));
+        init({ environment: current.env, detectors: ['cspViolations'], csp: { enabled: true } });
+
+        dispatchViolation(current.window.document.body);
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['csp.restricted', 'csp.violation']);
+        assert.deepStrictEqual(signals[1].evidence, {
+            directive: 'worker-src',
+            blockedURI: 'blob',
+            sourceFile: 'https://example.test/script.js',
+            lineNumber: 12,
+            sample: '',
+            disposition: 'enforce'
+        });
+        assert.strictEqual(getRisk().score, 0);
+    });
+
+    it('ignores violations outside CSP mode', () => {
+        createStrictPage();
+        const signals = run(['cspViolations']);
+        dispatchViolation(current.window.document);
+        assert.deepStrictEqual(signals, []);
+    });
+});
+
+describe('worker.js', () => {
+    it('has the same code as the inline worker', () => {
+        const script = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+        const inline = script.match(/const workerCode = `([\s\S]*?)`;/)[1];
+        const file = fs.readFileSync(WORKER_FILE, 'utf8').replace(/^\/\*\*[\s\S]*?\*\/\n/, '');
+        const normalize = source => source.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+        assert.strictEqual(normalize(file), normalize(inline));
+    });
+
+    it('reports its status and beats on request', () => {
+        mock.timers.enable({ apis: ['setInterval'] });
+        const posted = [];
+        let onMessage = null;
+        const self = {
+            importScripts: () => {},
+            // Copied out of the worker's realm, as a structured clone would be
+            postMessage: message => posted.push(JSON.parse(JSON.stringify(message))),
+            addEventListener: (type, listener) => {
+                onMessage = listener;
+            }
+        };
+        vm.runInNewContext(fs.readFileSync(WORKER_FILE, 'utf8'), {
+            self: self,
+            performance: { timeOrigin: 1700000000000, now: () => 500 },
+            Date: { now: () => 1700000000500 },
+            setInterval: setInterval,
+            clearInterval: clearInterval
+        });
+
+        onMessage({ data: { command: 'start', interval: 250 } });
+        mock.timers.tick(500);
+        onMessage({ data: { command: 'stop' } });
+        mock.timers.tick(500);
+
+        assert.deepStrictEqual(posted, [
+            { type: 'status', status: 'secure' },
+            { type: 'heartbeat', time: 1700000000500, date: 1700000000500 },
+            { type: 'heartbeat', time: 1700000000500, date: 1700000000500 }
+        ]);
+    });
+});
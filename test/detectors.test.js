@@ -0,0 +1,725 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { runDetectors, init, dispose } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+
+// Runs the named detectors against a fabricated environment and returns the
+// emitted signals. `prepare` can patch the environment before the run.
+function run(detectors, options, prepare) {
+    current = createTestEnvironment(options);
+    if (prepare) {
+        prepare(current.env, current);
+    }
+    return runDetectors({
+        detectors: detectors,
+        environment: current.env,
+        thresholds: options && options.thresholds,
+        invasive: options && options.invasive
+    });
+}
+
+function ids(signals) {
+    return signals.map(signal => signal.id);
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('runDetectors', () => {
+    it('tags signals with detector, tier, time and evidence', () => {
+        const signals = run(['clockSkew'], {}, (env, test) => {
+            test.clock.skew(60000);
+        });
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].detector, 'clockSkew');
+        assert.strictEqual(signals[0].tier, 'primary');
+        assert.strictEqual(typeof signals[0].time, 'number');
+        assert.strictEqual(typeof signals[0].evidence, 'object');
+    });
+
+    it('rejects unknown detectors', () => {
+        assert.throws(() => runDetectors({ detectors: ['noSuchDetector'] }), /Unknown detector/);
+    });
+});
+
+describe('windowSize', () => {
+    // Records the baseline, applies `changes` to the window and runs again
+    function change(changes, options) {
+        const signals = run(['windowSize'], options);
+        assert.deepStrictEqual(signals, []);
+
+        Object.keys(changes).forEach(key => {
+            Object.defineProperty(current.window, key, { value: changes[key], configurable: true });
+        });
+        return runDetectors({
+            detectors: ['windowSize'],
+            environment: current.env,
+            thresholds: options && options.thresholds
+        });
+    }
+
+    it('accepts any layout present at startup', () => {
+        assert.deepStrictEqual(run(['windowSize'], {
+            window: { outerWidth: 1920, innerWidth: 1280, devicePixelRatio: 1.5 }
+        }), []);
+    });
+
+    it('stays quiet while the layout is unchanged', () => {
+        assert.deepStrictEqual(change({}), []);
+    });
+
+    it('fires on a panel docked to the side', () => {
+        const signals = change({ innerWidth: 724 });
+
+        assert.deepStrictEqual(ids(signals), ['window.size-delta']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            edge: 'side',
+            widthDelta: 300,
+            heightDelta: 0,
+            zoom: 1,
+            threshold: 99
+        });
+    });
+
+    it('fires on a panel docked to the bottom', () => {
+        const signals = change({ innerHeight: 468 });
+
+        assert.deepStrictEqual(signals.map(signal => signal.evidence.edge), ['bottom']);
+    });
+
+    it('tells left from right where the viewport position is exposed', () => {
+        const signals = change({ innerWidth: 724, mozInnerScreenX: 308 },
+            { window: { screenX: 0, mozInnerScreenX: 8 } });
+
+        assert.deepStrictEqual(signals.map(signal => signal.evidence.edge), ['left']);
+    });
+
+    it('ignores page zoom', () => {
+        assert.deepStrictEqual(change({ innerWidth: 683, innerHeight: 512, devicePixelRatio: 1.5 }), []);
+    });
+
+    it('ignores a resized window and measures from the new size', () => {
+        assert.deepStrictEqual(change({ outerWidth: 700, innerWidth: 700 }), []);
+
+        Object.defineProperty(current.window, 'innerWidth', { value: 400, configurable: true });
+        const signals = runDetectors({ detectors: ['windowSize'], environment: current.env });
+        assert.strictEqual(signals[0].evidence.widthDelta, 300);
+    });
+
+    it('ignores an orientation change', () => {
+        assert.deepStrictEqual(change({ screen: { width: 768, height: 1024 }, innerWidth: 700 },
+            { window: { screen: { width: 1024, height: 768 } } }), []);
+    });
+
+    it('ignores pinch zoom', () => {
+        assert.deepStrictEqual(change({ innerWidth: 512, visualViewport: { scale: 2 } }), []);
+    });
+
+    it('ignores the viewport shrinking on both edges', () => {
+        assert.deepStrictEqual(change({ innerWidth: 724, innerHeight: 468 }), []);
+    });
+
+    // Changes the viewport with a resize event, as the browser does when its
+    // own panels and toolbars open or close, and runs again
+    function resize(changes, focused) {
+        Object.keys(changes).forEach(key => {
+            Object.defineProperty(current.window, key, { value: changes[key], configurable: true });
+        });
+        current.window.document.hasFocus = () => focused;
+        current.window.dispatchEvent(new current.window.Event('resize'));
+        return runDetectors({ detectors: ['windowSize'], environment: current.env });
+    }
+
+    it('fires when a panel open at startup closes and opens again', () => {
+        assert.deepStrictEqual(run(['windowSize'], { window: { innerWidth: 724 } }), []);
+        assert.deepStrictEqual(resize({ innerWidth: 1024 }, true), []);
+
+        // DevTools takes focus from the page as it opens
+        assert.deepStrictEqual(ids(resize({ innerWidth: 724 }, false)), ['window.size-delta']);
+    });
+
+    it('accepts browser chrome opened after load while the page keeps focus', () => {
+        // A side panel, then the bookmarks bar
+        assert.deepStrictEqual(run(['windowSize']), []);
+        assert.deepStrictEqual(resize({ innerWidth: 664 }, true), []);
+        assert.deepStrictEqual(resize({ innerHeight: 736 }, true), []);
+        assert.deepStrictEqual(runDetectors({ detectors: ['windowSize'], environment: current.env }), []);
+    });
+
+    it('keeps its baseline when the viewport changes without a resize event', () => {
+        assert.deepStrictEqual(run(['windowSize'], { window: { innerWidth: 724 } }), []);
+        Object.defineProperty(current.window, 'innerWidth', { value: 1024, configurable: true });
+        current.window.document.hasFocus = () => true;
+        assert.deepStrictEqual(runDetectors({ detectors: ['windowSize'], environment: current.env }), []);
+
+        Object.defineProperty(current.window, 'innerWidth', { value: 600, configurable: true });
+        const signals = runDetectors({ detectors: ['windowSize'], environment: current.env });
+        assert.strictEqual(signals[0].evidence.widthDelta, 124);
+    });
+
+    it('honours a configured threshold', () => {
+        assert.deepStrictEqual(change({ innerHeight: 468 }, { thresholds: { windowSizeDelta: 400 } }), []);
+    });
+});
+
+describe('clockSkew', () => {
+    it('stays quiet while both clocks agree', () => {
+        assert.deepStrictEqual(run(['clockSkew'], {}, (env, test) => {
+            test.clock.advance(5000);
+        }), []);
+    });
+
+    it('fires when Date is skewed against performance.now', () => {
+        const signals = run(['clockSkew'], {}, (env, test) => {
+            test.clock.advance(5000);
+            test.clock.skew(60000);
+        });
+
+        assert.deepStrictEqual(ids(signals), ['timing.clock-skew']);
+        assert.strictEqual(signals[0].evidence.skew, 60000);
+    });
+});
+
+describe('toStringNative', () => {
+    it('stays quiet with the native Function.prototype.toString', () => {
+        assert.deepStrictEqual(run(['toStringNative']), []);
+    });
+
+    it('fires when Function.prototype.toString is patched', () => {
+        const signals = run(['toStringNative'], {}, env => {
+            const original = env.Function.prototype.toString;
+            env.Function.prototype.toString = function() {
+                return original.call(this);
+            };
+        });
+
+        assert.deepStrictEqual(ids(signals), ['function.tostring-native']);
+    });
+});
+
+describe('toStringRedefinition', () => {
+    function sharedFunctions(env) {
+        return [
+            env.Function.prototype.toString,
+            env.Object.prototype.hasOwnProperty,
+            env.window.EventTarget.prototype.addEventListener,
+            env.window.Document.prototype.getElementById,
+            env.console.log
+        ];
+    }
+
+    it('keeps protection\'s own replacements looking native', () => {
+        let originals = null;
+        const patched = run(['toStringRedefinition', 'toStringNative', 'consoleNative', 'consoleLockdown',
+            'symbolProperties', 'eventListeners', 'shadowDomTraps'], {}, env => {
+            originals = sharedFunctions(env);
+        });
+        const env = current.env;
+        // The native checks run again, now that everything is patched
+        const signals = runDetectors({ detectors: ['toStringNative', 'consoleNative'], environment: env });
+
+        assert.deepStrictEqual(ids(patched).filter(id => id !== 'console.call'), []);
+        assert.deepStrictEqual(signals, []);
+        const replacements = sharedFunctions(env);
+        assert.ok(replacements.every((fn, i) => fn !== originals[i]));
+        assert.deepStrictEqual(replacements.map(fn => env.Function.prototype.toString.call(fn)),
+            originals.map(fn => Function.prototype.toString.call(fn)));
+    });
+
+    it('replaces toString with a function shaped like the native one', () => {
+        let original = null;
+        run(['toStringRedefinition'], {}, env => {
+            original = env.Function.prototype.toString;
+        });
+        const replacement = current.env.Function.prototype.toString;
+
+        assert.notStrictEqual(replacement, original);
+        assert.strictEqual(replacement.name, original.name);
+        assert.strictEqual(replacement.length, original.length);
+        assert.strictEqual(Object.prototype.hasOwnProperty.call(replacement, 'prototype'), false);
+    });
+});
+
+describe('consoleNative', () => {
+    it('stays quiet with native console methods', () => {
+        assert.deepStrictEqual(run(['consoleNative']), []);
+    });
+
+    it('names the patched console method', () => {
+        const signals = run(['consoleNative'], {}, env => {
+            env.console.warn = function() {};
+        });
+
+        assert.deepStrictEqual(ids(signals), ['console.method-patched']);
+        assert.deepStrictEqual(signals[0].evidence, { method: 'warn' });
+    });
+});
+
+describe('isolatedScript', () => {
+    const plugins = { length: 3 };
+
+    it('fires automation.webdriver for navigator.webdriver', () => {
+        const signals = run(['isolatedScript'], {
+            navigator: { webdriver: true, plugins: plugins }
+        });
+
+        assert.ok(ids(signals).includes('automation.webdriver'));
+    });
+
+    it('fires automation.phantom for PhantomJS globals', () => {
+        const signals = run(['isolatedScript'], {
+            window: { callPhantom: function() {} },
+            navigator: { plugins: plugins }
+        });
+
+        assert.ok(ids(signals).includes('automation.phantom'));
+        assert.ok(!ids(signals).includes('automation.webdriver'));
+    });
+
+    it('fires automation.webdriver-attribute for the document attribute', () => {
+        const signals = run(['isolatedScript'], { navigator: { plugins: plugins } }, env => {
+            env.document.documentElement.setAttribute('webdriver', 'true');
+        });
+
+        assert.ok(ids(signals).includes('automation.webdriver-attribute'));
+    });
+});
+
+describe('emulatedEnvironment', () => {
+    function fakeWebGL(renderer, vendor) {
+        return env => {
+            env.window.HTMLCanvasElement.prototype.getContext = function() {
+                return {
+                    RENDERER: 'RENDERER',
+                    VENDOR: 'VENDOR',
+                    getParameter: name => name === 'RENDERER' ? renderer : vendor
+                };
+            };
+            env.window.AudioContext = function() {
+                this.sampleRate = 48000;
+            };
+        };
+    }
+
+    it('stays quiet on a hardware renderer', () => {
+        const signals = run(['emulatedEnvironment'], { navigator: { hardwareConcurrency: 8 } },
+            fakeWebGL('ANGLE (NVIDIA GeForce RTX 3060)', 'Google Inc. (NVIDIA)'));
+
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('reports a software renderer with its name', () => {
+        const signals = run(['emulatedEnvironment'], { navigator: { hardwareConcurrency: 8 } },
+            fakeWebGL('llvmpipe (LLVM 15.0.7, 256 bits)', 'Mesa'));
+
+        assert.deepStrictEqual(ids(signals), ['environment.webgl-renderer']);
+        assert.strictEqual(signals[0].evidence.renderer, 'llvmpipe (LLVM 15.0.7, 256 bits)');
+    });
+});
+
+describe('headlessChromium', () => {
+    const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+        '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+    const userAgentData = {
+        brands: [
+            { brand: 'Chromium', version: '124' },
+            { brand: 'Google Chrome', version: '124' },
+            { brand: 'Not-A.Brand', version: '99' }
+        ],
+        mobile: false,
+        platform: 'Windows'
+    };
+
+    // Desktop Chrome 124 on Windows, with `navigator` values on top
+    function chrome(navigator, window) {
+        return {
+            window: Object.assign({ chrome: { app: {}, csi: () => {}, loadTimes: () => {} } }, window),
+            navigator: Object.assign({ userAgent: userAgent, userAgentData: userAgentData }, navigator)
+        };
+    }
+
+    it('stays quiet on a consistent Chrome', () => {
+        assert.deepStrictEqual(run(['headlessChromium'], chrome()), []);
+    });
+
+    it('reports the HeadlessChrome user agent and brand', () => {
+        const signals = run(['headlessChromium'], chrome({
+            userAgent: userAgent.replace('Chrome/', 'HeadlessChrome/'),
+            userAgentData: Object.assign({}, userAgentData, {
+                brands: userAgentData.brands.concat({ brand: 'HeadlessChrome', version: '124' })
+            })
+        }));
+
+        assert.deepStrictEqual(ids(signals), ['headless.user-agent', 'headless.client-hints-brand']);
+    });
+
+    it('reports client hints that contradict the user agent', () => {
+        const signals = run(['headlessChromium'], chrome({
+            userAgentData: {
+                brands: [{ brand: 'Chromium', version: '120' }],
+                mobile: false,
+                platform: 'Linux'
+            }
+        }));
+
+        assert.deepStrictEqual(ids(signals),
+            ['headless.client-hints-version', 'headless.client-hints-platform']);
+        assert.deepStrictEqual(signals[1].evidence, { platform: 'Linux', expected: 'Windows' });
+    });
+
+    it('reports missing client hints', () => {
+        const signals = run(['headlessChromium'], chrome({ userAgentData: undefined }));
+        assert.deepStrictEqual(ids(signals), ['headless.client-hints-missing']);
+    });
+
+    it('reports plugin lists Chrome never has', () => {
+        const signals = run(['headlessChromium'], chrome({
+            plugins: { length: 3 },
+            mimeTypes: { length: 0 }
+        }));
+
+        assert.deepStrictEqual(ids(signals), ['headless.plugins']);
+        assert.deepStrictEqual(signals[0].evidence, { plugins: 3, mimeTypes: 0, native: false });
+    });
+
+    it('reports an incomplete window.chrome', () => {
+        const signals = run(['headlessChromium'], chrome({}, { chrome: { runtime: {} } }));
+
+        assert.deepStrictEqual(ids(signals), ['headless.chrome-object']);
+        assert.deepStrictEqual(signals[0].evidence.missing, ['app', 'csi', 'loadTimes']);
+    });
+
+    it('reports a zero outer window size', () => {
+        const signals = run(['headlessChromium'], chrome({}, { outerWidth: 0, outerHeight: 0 }));
+        assert.deepStrictEqual(ids(signals), ['headless.zero-outer-size']);
+    });
+
+    it('reports a notification permission the Permissions API contradicts', async () => {
+        const signals = run(['headlessChromium'], chrome({
+            permissions: { query: () => Promise.resolve({ state: 'prompt' }) }
+        }, {
+            Notification: { permission: 'denied' }
+        }));
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(ids(signals), ['headless.notification-permission']);
+        assert.deepStrictEqual(signals[0].evidence, { permission: 'denied', state: 'prompt' });
+    });
+});
+
+describe('timezone', () => {
+    // Intl resolving to `timeZone` and `locale`, and a Date reporting
+    // `offset(date)` from getTimezoneOffset. The test clock stands in
+    // November 2023, when New York is on standard time (UTC-5).
+    function zone(timeZone, locale, offset) {
+        return env => {
+            class ZonedDateTimeFormat extends Intl.DateTimeFormat {
+                constructor(locales, options) {
+                    super(locales || locale, Object.assign({ timeZone: timeZone }, options));
+                }
+            }
+            env.Intl = Object.assign(Object.create(Intl), { DateTimeFormat: ZonedDateTimeFormat });
+            env.Date = class extends env.Date {
+                getTimezoneOffset() {
+                    return offset(this);
+                }
+            };
+        };
+    }
+
+    // America/New_York: daylight saving time from March to early November
+    function newYork(date) {
+        const month = date.getUTCMonth();
+        return month >= 3 && month <= 9 ? 240 : 300;
+    }
+
+    it('stays quiet when Date and Intl agree throughout the year', () => {
+        const signals = run(['timezone'], {}, zone('America/New_York', 'en-US', newYork));
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('reports a current offset that contradicts the time zone', () => {
+        const signals = run(['timezone'], {}, zone('America/New_York', 'en-US', () => -60));
+
+        assert.deepStrictEqual(ids(signals), ['timezone.offset-mismatch']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            timeZone: 'America/New_York',
+            offset: -60,
+            expected: 300,
+            mismatches: 5,
+            dates: 5
+        });
+    });
+
+    it('reports an offset pinned across DST transitions separately', () => {
+        const signals = run(['timezone'], {}, zone('America/New_York', 'en-US', () => 300));
+
+        assert.deepStrictEqual(ids(signals), ['timezone.dst-mismatch']);
+        assert.deepStrictEqual(signals[0].evidence.mismatches.map(sample => sample.expected), [240, 240, 240]);
+    });
+
+    it('reports browser languages that disagree with the Intl locale', () => {
+        const signals = run(['timezone'], {
+            navigator: { language: 'ru-RU', languages: ['ru-RU', 'ru'] }
+        }, zone('America/New_York', 'en-US', newYork));
+
+        assert.deepStrictEqual(ids(signals), ['timezone.locale-mismatch']);
+        assert.strictEqual(signals[0].evidence.locale, 'en-US');
+    });
+
+    it('accepts regional variants of the same language', () => {
+        const signals = run(['timezone'], {
+            navigator: { language: 'en-GB', languages: ['en-GB', 'en'] }
+        }, zone('Europe/London', 'en-US', date => {
+            const month = date.getUTCMonth();
+            return month >= 3 && month <= 9 ? -60 : 0;
+        }));
+
+        assert.deepStrictEqual(signals, []);
+    });
+});
+
+describe('performancePatterns', () => {
+    it('fires after repeated frame stalls', () => {
+        const frames = [];
+        const signals = run(['performancePatterns'], {
+            window: { requestAnimationFrame: callback => frames.push(callback) }
+        });
+
+        // Smooth frames, enough to warm up the frame timing baseline
+        for (let i = 0; i < 10; i++) {
+            current.clock.advance(16);
+            frames.shift()();
+        }
+        assert.deepStrictEqual(signals, []);
+
+        // Three frames stalled as if paused on a breakpoint
+        for (let i = 0; i < 3; i++) {
+            current.clock.advance(500);
+            frames.shift()();
+        }
+        assert.deepStrictEqual(ids(signals), ['timing.frame-stall']);
+        assert.strictEqual(signals[0].evidence.frameDuration, 500);
+    });
+
+    it('tolerates single slow frames', () => {
+        const frames = [];
+        const signals = run(['performancePatterns'], {
+            window: { requestAnimationFrame: callback => frames.push(callback) }
+        });
+
+        // A garbage collection pause every few frames
+        for (let i = 0; i < 40; i++) {
+            current.clock.advance(i >= 10 && i % 5 === 0 ? 150 : 16);
+            frames.shift()();
+        }
+        assert.deepStrictEqual(signals, []);
+    });
+});
+
+describe('eventListeners', () => {
+    it('keeps removeEventListener working', () => {
+        run(['eventListeners']);
+        const window = current.window;
+        let calls = 0;
+        const listener = () => calls++;
+
+        window.addEventListener('resize', listener);
+        window.dispatchEvent(new window.Event('resize'));
+        window.removeEventListener('resize', listener);
+        window.dispatchEvent(new window.Event('resize'));
+
+        assert.strictEqual(calls, 1);
+    });
+
+    it('keeps duplicate registrations and handleEvent objects native', () => {
+        run(['eventListeners']);
+        const window = current.window;
+        const calls = [];
+        const listener = () => calls.push('function');
+        const handler = {
+            handleEvent(event) {
+                calls.push(this === handler ? 'object' : 'wrong this');
+            }
+        };
+
+        window.addEventListener('scroll', listener);
+        window.addEventListener('scroll', listener);
+        window.addEventListener('scroll', handler);
+        window.dispatchEvent(new window.Event('scroll'));
+
+        assert.deepStrictEqual(calls, ['function', 'object']);
+    });
+
+    it('ignores ordinary resize and error listeners', () => {
+        const signals = run(['eventListeners']);
+        current.window.addEventListener('resize', () => {});
+        current.window.addEventListener('error', () => {});
+
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('inspects events with passive listeners', () => {
+        const registered = [];
+        run(['eventListeners'], {}, env => {
+            const prototype = env.window.EventTarget.prototype;
+            const native = prototype.addEventListener;
+            prototype.addEventListener = function(type, listener, options) {
+                registered.push({ type: type, passive: Boolean(options && options.passive) });
+                return native.apply(this, arguments);
+            };
+        });
+        current.window.addEventListener('touchstart', () => {});
+
+        assert.deepStrictEqual(registered, [
+            { type: 'touchstart', passive: false },
+            { type: 'touchstart', passive: true }
+        ]);
+    });
+
+    it('fires when something listens for devtoolschange', () => {
+        const signals = run(['eventListeners']);
+        current.window.addEventListener('devtoolschange', () => {});
+
+        assert.deepStrictEqual(ids(signals), ['events.listener-registered']);
+    });
+
+    it('fires on events dispatched by DevTools', () => {
+        const signals = run(['eventListeners']);
+        const window = current.window;
+        class DevToolsEvent extends window.Event {}
+
+        window.addEventListener('inspect', () => {});
+        window.dispatchEvent(new DevToolsEvent('inspect'));
+
+        assert.deepStrictEqual(ids(signals), ['events.devtools-event']);
+    });
+});
+
+describe('consoleLockdown', () => {
+    it('keeps console.log logging', () => {
+        const logged = [];
+        const console = { log: function() { logged.push(Array.from(arguments)); } };
+
+        const signals = run(['consoleLockdown'], { console: console });
+        const result = current.env.console.log('hello', 42);
+
+        assert.strictEqual(result, undefined);
+        assert.deepStrictEqual(logged, [['hello', 42]]);
+        assert.strictEqual(current.env.console.log.name, 'log');
+        assert.deepStrictEqual(ids(signals), ['console.call']);
+    });
+
+    it('leaves the methods writable for other wrappers', () => {
+        run(['consoleLockdown']);
+        const replacement = () => {};
+        current.env.console.log = replacement;
+
+        assert.strictEqual(current.env.console.log, replacement);
+    });
+});
+
+describe('symbolProperties', () => {
+    function secretSymbol(window) {
+        return Object.getOwnPropertySymbols(window).find(symbol => symbol.description === 'protection');
+    }
+
+    it('keeps hasOwnProperty native', () => {
+        const signals = run(['symbolProperties']);
+        const prototype = current.env.Object.prototype;
+        const hasOwnProperty = prototype.hasOwnProperty;
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, 'hasOwnProperty');
+
+        assert.strictEqual(hasOwnProperty.call({ a: 1 }, 'a'), true);
+        assert.strictEqual(hasOwnProperty.call({ a: 1 }, 'toString'), false);
+        assert.strictEqual(hasOwnProperty.call([], Symbol.iterator), false);
+        assert.throws(() => hasOwnProperty.call(null, 'a'), { name: 'TypeError' });
+        assert.strictEqual(hasOwnProperty.name, 'hasOwnProperty');
+        assert.strictEqual(hasOwnProperty.length, 1);
+        assert.deepStrictEqual([descriptor.writable, descriptor.enumerable, descriptor.configurable],
+            [true, false, true]);
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('fires when the secret symbol is probed', () => {
+        const signals = run(['symbolProperties']);
+        const window = current.window;
+        current.env.Object.prototype.hasOwnProperty.call(window, secretSymbol(window));
+
+        assert.deepStrictEqual(ids(signals), ['object.symbol-probe']);
+    });
+
+    it('traps the symbol with a getter when not invasive', () => {
+        const signals = run(['symbolProperties'], { invasive: false });
+        const window = current.window;
+        assert.match(current.env.Object.prototype.hasOwnProperty.toString(), /\[native code\]/);
+        assert.deepStrictEqual(signals, []);
+
+        assert.strictEqual(typeof window[secretSymbol(window)], 'function');
+        assert.deepStrictEqual(ids(signals), ['object.symbol-probe']);
+    });
+});
+
+describe('invasive: false', () => {
+    function snapshot(env) {
+        return {
+            toString: env.Function.prototype.toString,
+            hasOwnProperty: env.Object.prototype.hasOwnProperty,
+            addEventListener: env.window.EventTarget.prototype.addEventListener,
+            removeEventListener: env.window.EventTarget.prototype.removeEventListener,
+            getElementById: env.window.Document.prototype.getElementById,
+            log: env.console.log
+        };
+    }
+
+    it('leaves shared prototypes, globals and the console untouched', () => {
+        current = createTestEnvironment();
+        const before = snapshot(current.env);
+
+        runDetectors({
+            detectors: ['toStringRedefinition', 'shadowDomTraps', 'consoleLockdown',
+                'windowProperties', 'symbolProperties', 'eventListeners'],
+            environment: current.env,
+            invasive: false
+        });
+
+        assert.deepStrictEqual(snapshot(current.env), before);
+    });
+
+    it('still traps window properties the page doesn\'t have', () => {
+        const signals = run(['windowProperties'], { window: { inspect: 'page value' }, invasive: false });
+        const window = current.window;
+
+        assert.strictEqual(window.inspect, 'page value');
+        assert.deepStrictEqual(signals, []);
+        void window.devtools;
+        assert.deepStrictEqual(signals.map(signal => signal.evidence), [{ property: 'devtools', access: 'get' }]);
+    });
+
+    it('tells init what coverage it gives up', () => {
+        current = createTestEnvironment();
+        try {
+            const coverage = init({
+                environment: current.env,
+                detectors: ['toStringRedefinition', 'consoleLockdown', 'windowProperties', 'eventListeners'],
+                invasive: false
+            });
+
+            assert.deepStrictEqual(coverage, {
+                skipped: ['toStringRedefinition', 'consoleLockdown', 'eventListeners'],
+                lostSignals: ['function.tostring-inspected', 'console.call',
+                    'events.listener-registered', 'events.devtools-event']
+            });
+        } finally {
+            dispose();
+        }
+    });
+});
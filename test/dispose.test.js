@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { init, dispose, on, getRisk } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+let workers = null;
+let frames = null;
+
+// Stand-ins for what jsdom lacks, counting what is left running
+function createBrowserStubs() {
+    workers = [];
+    frames = { pending: new Set(), next: 1 };
+
+    class FakeWorker {
+        constructor() {
+            this.terminated = false;
+            workers.push(this);
+        }
+        addEventListener() {}
+        postMessage() {}
+        terminate() {
+            this.terminated = true;
+        }
+    }
+
+    return {
+        Worker: FakeWorker,
+        URL: {
+            createObjectURL: () => 'blob:https://example.test/worker',
+            revokeObjectURL: () => {}
+        },
+        requestAnimationFrame: () => {
+            const id = frames.next++;
+            frames.pending.add(id);
+            return id;
+        },
+        cancelAnimationFrame: id => frames.pending.delete(id)
+    };
+}
+
+// The globals detectors patch, read from the jsdom realm
+function snapshotGlobals(env) {
+    const window = env.window;
+    return {
+        toString: env.Function.prototype.toString,
+        hasOwnProperty: Object.getOwnPropertyDescriptor(env.Object.prototype, 'hasOwnProperty'),
+        addEventListener: window.EventTarget.prototype.addEventListener,
+        getElementById: window.Document.prototype.getElementById,
+        log: env.console.log,
+        warn: env.console.warn,
+        debug: Object.getOwnPropertyDescriptor(window, 'debug'),
+        symbols: Object.getOwnPropertySymbols(window).length
+    };
+}
+
+function start(options) {
+    init(Object.assign({ environment: current.env, detectors: { toStringRedefinition: true } }, options));
+    mock.timers.tick(1);
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+
+    // The scheduler's clock follows the mocked timers
+    current = createTestEnvironment({
+        window: createBrowserStubs(),
+        performance: { now: () => Date.now() }
+    });
+});
+
+afterEach(() => {
+    dispose();
+    current.close();
+    mock.timers.reset();
+});
+
+describe('dispose', () => {
+    it('restores every patched global', () => {
+        const before = snapshotGlobals(current.env);
+
+        start();
+        assert.notStrictEqual(current.env.Function.prototype.toString, before.toString);
+        assert.notStrictEqual(current.window.EventTarget.prototype.addEventListener, before.addEventListener);
+        assert.notStrictEqual(current.env.console.log, before.log);
+
+        dispose();
+        assert.deepStrictEqual(snapshotGlobals(current.env), before);
+    });
+
+    it('undoes a failed init', () => {
+        const before = snapshotGlobals(current.env);
+        const addEventListener = current.window.addEventListener;
+        current.window.addEventListener = () => {
+            throw new Error('Blocked');
+        };
+
+        assert.throws(() => start({ telemetry: { endpoint: '/reports' } }), /Blocked/);
+        current.window.addEventListener = addEventListener;
+        assert.deepStrictEqual(snapshotGlobals(current.env), before);
+
+        // Protection starts again once the page lets it
+        start();
+        assert.notStrictEqual(current.env.Function.prototype.toString, before.toString);
+    });
+
+    it('removes bait elements and terminates workers', () => {
+        start();
+        const doc = current.window.document;
+        assert.ok(doc.querySelector('[id^="mutation-trap-"]'));
+        assert.ok(doc.querySelector('[id^="shadow-host-"]'));
+        assert.ok(workers.length > 0);
+
+        dispose();
+        assert.strictEqual(doc.querySelector('[id^="mutation-trap-"]'), null);
+        assert.strictEqual(doc.querySelector('[id^="shadow-host-"]'), null);
+        assert.ok(workers.every(worker => worker.terminated));
+    });
+
+    it('cancels the animation frame loop', () => {
+        start();
+        assert.strictEqual(frames.pending.size, 1);
+
+        dispose();
+        assert.strictEqual(frames.pending.size, 0);
+    });
+
+    it('keeps a single set of traps across repeated runs', () => {
+        start({ intervals: { quaternary: 1000, tertiary: 1000 } });
+        mock.timers.tick(1000);
+        mock.timers.tick(1000);
+
+        const doc = current.window.document;
+        assert.strictEqual(doc.querySelectorAll('[id^="mutation-trap-"]').length, 1);
+        // The heartbeat worker is started once and kept running
+        assert.strictEqual(workers.length, 1);
+        assert.strictEqual(workers[0].terminated, false);
+    });
+
+    it('stops detection and leaves stale observers silent', async () => {
+        const signals = [];
+        const unsubscribe = on(signal => signals.push(signal.id));
+        start();
+        dispose();
+        signals.length = 0;
+
+        const node = current.window.document.createElement('div');
+        node.className = 'devtools-panel';
+        current.window.document.body.appendChild(node);
+        await new Promise(resolve => setImmediate(resolve));
+        mock.timers.tick(60000);
+
+        unsubscribe();
+        assert.deepStrictEqual(signals, []);
+        assert.deepStrictEqual(getRisk(), { score: 0, level: null, contributors: [] });
+    });
+
+    it('removes the notice and allows init again', () => {
+        Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+        start({ response: 'notice', detectors: ['isolatedScript'] });
+        assert.ok(current.window.document.getElementById('protection-notice'));
+
+        dispose();
+        assert.strictEqual(current.window.document.getElementById('protection-notice'), null);
+
+        start({ detectors: ['isolatedScript'] });
+        assert.strictEqual(getRisk().level, 'likely');
+    });
+});
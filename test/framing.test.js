@@ -0,0 +1,171 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { runDetectors, answerFrameChallenges } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+const ORIGIN = 'https://app.example.test';
+
+let current = null;
+
+// A cross-origin window: reading its location throws, as in a browser
+function crossOriginWindow() {
+    const posted = [];
+    return {
+        posted: posted,
+        get location() {
+            throw new Error('SecurityError: Blocked a frame from accessing a cross-origin frame.');
+        },
+        postMessage: (message, targetOrigin) => posted.push({ message: message, targetOrigin: targetOrigin })
+    };
+}
+
+// A page framed by `parent` (and `top`, if further up), with timers the test
+// fires through `timers`
+function createFrame(options) {
+    current = createTestEnvironment();
+    const frame = new current.window.EventTarget();
+    const timers = [];
+    Object.assign(frame, {
+        AbortController: current.window.AbortController,
+        location: { origin: ORIGIN, ancestorOrigins: options.ancestorOrigins },
+        parent: options.parent,
+        top: options.top || options.parent,
+        setTimeout: callback => timers.push(callback),
+        clearTimeout: id => {
+            timers[id - 1] = null;
+        }
+    });
+    current.env.window = frame;
+    return { frame: frame, timers: timers };
+}
+
+function run(options) {
+    return runDetectors(Object.assign({ detectors: ['iframe'], environment: current.env }, options));
+}
+
+// Delivers a message to `target` as if `source` at `origin` sent it
+function deliver(target, source, origin, data) {
+    const event = new current.window.Event('message');
+    Object.defineProperties(event, {
+        source: { value: source },
+        origin: { value: origin },
+        data: { value: data }
+    });
+    target.dispatchEvent(event);
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('iframe detector', () => {
+    it('leaves top-level pages alone', () => {
+        current = createTestEnvironment();
+        assert.deepStrictEqual(run(), []);
+    });
+
+    it('checks location.ancestorOrigins against the allowed ancestors', () => {
+        createFrame({
+            parent: crossOriginWindow(),
+            ancestorOrigins: [ORIGIN, 'https://help.partner.example', 'https://portal.partner.example']
+        });
+
+        assert.deepStrictEqual(run({ framing: { allowedAncestors: ['https://*.partner.example'] } }), []);
+
+        const signals = run({ framing: { allowedAncestors: ['https://portal.partner.example'] } });
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].id, 'frame.unexpected-ancestor');
+        assert.deepStrictEqual(signals[0].evidence, {
+            ancestors: [ORIGIN, 'https://help.partner.example', 'https://portal.partner.example'],
+            disallowed: ['https://help.partner.example'],
+            source: 'ancestor-origins',
+            referrer: ''
+        });
+    });
+
+    it('never allows sandboxed ancestors', () => {
+        createFrame({ parent: crossOriginWindow(), ancestorOrigins: ['null'] });
+        const signals = run({ framing: { allowedAncestors: ['null'] } });
+        assert.deepStrictEqual(signals[0].evidence.disallowed, ['null']);
+    });
+
+    it('reads same-origin ancestors without ancestorOrigins', () => {
+        createFrame({ parent: { location: { origin: ORIGIN } } });
+        assert.deepStrictEqual(run(), []);
+    });
+
+    it('verifies a cross-origin parent with a handshake', () => {
+        const parent = crossOriginWindow();
+        const frame = createFrame({ parent: parent }).frame;
+        const signals = run({ framing: { allowedAncestors: ['https://portal.partner.example'] } });
+
+        assert.strictEqual(parent.posted.length, 1);
+        const challenge = parent.posted[0].message;
+        assert.strictEqual(challenge.type, 'chromium-browser-detection:frame-challenge');
+
+        // Answers from elsewhere or with another nonce don't count
+        deliver(frame, {}, 'https://portal.partner.example',
+            { type: 'chromium-browser-detection:frame-response', nonce: challenge.nonce });
+        deliver(frame, parent, 'https://portal.partner.example',
+            { type: 'chromium-browser-detection:frame-response', nonce: 'guessed' });
+        deliver(frame, parent, 'https://portal.partner.example',
+            { type: 'chromium-browser-detection:frame-response', nonce: challenge.nonce });
+
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('reports a parent that answers from an origin not allowed', () => {
+        const parent = crossOriginWindow();
+        const frame = createFrame({ parent: parent }).frame;
+        const signals = run();
+
+        deliver(frame, parent, 'https://evil.example', {
+            type: 'chromium-browser-detection:frame-response',
+            nonce: parent.posted[0].message.nonce
+        });
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].id, 'frame.unexpected-ancestor');
+        assert.deepStrictEqual(signals[0].evidence.disallowed, ['https://evil.example']);
+        assert.strictEqual(signals[0].evidence.source, 'handshake');
+    });
+
+    it('reports framing it cannot verify as weaker evidence', () => {
+        const top = crossOriginWindow();
+        const { timers } = createFrame({ parent: { location: { origin: ORIGIN }, parent: top }, top: top });
+        const signals = run({ framing: { handshakeTimeout: 500 } });
+
+        assert.strictEqual(top.posted.length, 1);
+        timers[0]();
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].id, 'frame.unverified');
+        assert.deepStrictEqual(signals[0].evidence, { ancestors: [ORIGIN], timeout: 500, referrer: '' });
+    });
+});
+
+describe('answerFrameChallenges', () => {
+    it('answers the challenges of embedded pages', () => {
+        current = createTestEnvironment();
+        const stop = answerFrameChallenges({
+            environment: current.env,
+            origins: [ORIGIN]
+        });
+        const child = crossOriginWindow();
+        const challenge = { type: 'chromium-browser-detection:frame-challenge', nonce: 'n0nce' };
+
+        deliver(current.window, child, ORIGIN, challenge);
+        deliver(current.window, child, 'https://elsewhere.example', challenge);
+        stop();
+        deliver(current.window, child, ORIGIN, challenge);
+
+        assert.deepStrictEqual(child.posted, [{
+            message: { type: 'chromium-browser-detection:frame-response', nonce: 'n0nce' },
+            targetOrigin: ORIGIN
+        }]);
+    });
+});
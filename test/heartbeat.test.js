@@ -0,0 +1,151 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { runDetectors } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+let worker = null;
+
+// A worker whose messages the test sends, with a clock of its own that starts
+// with the test clock; `posted` holds what the page told it
+class FakeWorker {
+    constructor() {
+        this.listeners = [];
+        this.posted = [];
+        this.time = current.env.performance.timeOrigin;
+        worker = this;
+    }
+    addEventListener(type, listener) {
+        if (type === 'message') {
+            this.listeners.push(listener);
+        }
+    }
+    postMessage(message) {
+        this.posted.push(message);
+    }
+    terminate() {}
+
+    send(data) {
+        this.listeners.forEach(listener => listener({ data: data }));
+    }
+
+    // A heartbeat sent `ms` after the previous one, by the worker's clock
+    beat(ms) {
+        this.time += ms;
+        this.send({ type: 'heartbeat', time: this.time, date: this.time });
+    }
+}
+
+// Starts the detector and returns the signals it emits, then and later
+function start(options) {
+    current = createTestEnvironment({
+        window: {
+            Worker: FakeWorker,
+            URL: {
+                createObjectURL: () => 'blob:https://example.test/worker',
+                revokeObjectURL: () => {}
+            }
+        }
+    });
+    return runDetectors(Object.assign({ detectors: ['webWorker'], environment: current.env }, options));
+}
+
+function summarize(signals) {
+    return signals.map(signal => ({ id: signal.id, evidence: signal.evidence }));
+}
+
+// Heartbeats arriving on time, enough to warm up the baselines
+function beatSteadily(count) {
+    for (let i = 0; i < count; i++) {
+        current.clock.advance(250);
+        worker.beat(250);
+    }
+}
+
+function setVisibility(state) {
+    const document = current.window.document;
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+    Object.defineProperty(document, 'hidden', { value: state === 'hidden', configurable: true });
+    document.dispatchEvent(new current.window.Event('visibilitychange'));
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+    worker = null;
+});
+
+describe('webWorker detector', () => {
+    it('starts a single worker beating at the heartbeat interval', () => {
+        start({ heartbeat: { interval: 100 } });
+        assert.deepStrictEqual(worker.posted, [{ command: 'start', interval: 100 }]);
+    });
+
+    it('reports a main thread pause', () => {
+        const signals = start();
+        beatSteadily(12);
+
+        // The worker kept beating through three seconds of breakpoint
+        current.clock.advance(3000);
+        worker.beat(250);
+        for (let i = 0; i < 11; i++) {
+            worker.beat(250);
+        }
+
+        assert.deepStrictEqual(summarize(signals), [{
+            id: 'worker.main-thread-stall',
+            evidence: { lag: 2750, median: 0, limit: 1000 }
+        }]);
+    });
+
+    it('does not count a pause of the worker', () => {
+        const signals = start();
+        beatSteadily(12);
+
+        current.clock.advance(3000);
+        worker.beat(3000);
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('stops the worker while the page is hidden', () => {
+        const signals = start();
+        beatSteadily(12);
+
+        setVisibility('hidden');
+        assert.deepStrictEqual(worker.posted[worker.posted.length - 1], { command: 'stop' });
+
+        // Heartbeats already on their way, delivered late by a throttled page
+        current.clock.advance(5000);
+        worker.beat(250);
+
+        setVisibility('visible');
+        assert.deepStrictEqual(worker.posted[worker.posted.length - 1], { command: 'start', interval: 250 });
+        current.clock.advance(10);
+        worker.beat(60000);
+        beatSteadily(8);
+
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('reports a clock that drifts from the worker clock', () => {
+        const signals = start();
+        beatSteadily(12);
+
+        current.clock.skew(500);
+        beatSteadily(1);
+
+        assert.deepStrictEqual(summarize(signals), [{
+            id: 'worker.clock-drift',
+            evidence: { drift: 500, median: 0, limit: 100 }
+        }]);
+    });
+
+    it('reports a compromised worker', () => {
+        const signals = start();
+        worker.send({ type: 'status', status: 'compromised' });
+        assert.deepStrictEqual(summarize(signals), [{ id: 'worker.compromised', evidence: {} }]);
+    });
+});
@@ -0,0 +1,114 @@
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const { createEnvironment } = require('../../script.js');
+
+/**
+ * Builds a detector environment around a fresh jsdom window, with clocks the
+ * test controls:
+ *
+ * - `clock.advance(ms)` moves performance.now() and Date forward together
+ * - `clock.skew(ms)` moves only Date, as a tampered wall clock would
+ *
+ * `options.window` and `options.navigator` hold property values defined on
+ * the jsdom window and navigator (e.g. { outerWidth: 1324 } or
+ * { webdriver: true }); any other option replaces that environment entry.
+ */
+function createTestEnvironment(options) {
+    options = Object.assign({}, options);
+
+    // Keeps jsdom's "not implemented" notices (canvas, audio) out of the output
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://example.test/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const window = dom.window;
+
+    const clock = createClock(window);
+
+    defineValues(window, Object.assign({
+        outerWidth: 1024,
+        outerHeight: 768,
+        innerWidth: 1024,
+        innerHeight: 768
+    }, options.window));
+    defineValues(window.navigator, options.navigator);
+
+    const overrides = {
+        window: window,
+        performance: clock.performance,
+        Date: clock.Date,
+        console: createNativeConsole()
+    };
+    Object.keys(options).forEach(key => {
+        if (key !== 'window' && key !== 'navigator') {
+            overrides[key] = options[key];
+        }
+    });
+
+    return {
+        env: createEnvironment(overrides),
+        window: window,
+        clock: clock,
+        close: () => window.close()
+    };
+}
+
+function createClock(window) {
+    const timeOrigin = 1700000000000;
+    let elapsed = 0;
+    let skew = 0;
+
+    const RealDate = window.Date;
+    class FakeDate extends RealDate {
+        constructor(...args) {
+            if (args.length) {
+                super(...args);
+            } else {
+                super(timeOrigin + elapsed + skew);
+            }
+        }
+
+        static now() {
+            return timeOrigin + elapsed + skew;
+        }
+    }
+
+    return {
+        Date: FakeDate,
+        performance: {
+            timeOrigin: timeOrigin,
+            now: () => elapsed
+        },
+        advance: ms => {
+            elapsed += ms;
+        },
+        skew: ms => {
+            skew += ms;
+        }
+    };
+}
+
+// Bound functions stringify as native code, like a real browser console
+function createNativeConsole() {
+    const nativeConsole = {};
+    ['log', 'error', 'warn', 'info', 'debug', 'trace', 'table', 'dir'].forEach(method => {
+        nativeConsole[method] = function() {}.bind(null);
+    });
+    return nativeConsole;
+}
+
+function defineValues(target, values) {
+    Object.keys(values || {}).forEach(key => {
+        Object.defineProperty(target, key, {
+            value: values[key],
+            configurable: true,
+            writable: true
+        });
+    });
+}
+
+module.exports = {
+    createTestEnvironment: createTestEnvironment
+};
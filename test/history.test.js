@@ -0,0 +1,353 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { init, dispose, on, getViolationHistory, clearViolationHistory } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+const NOW = 1700000000000;
+const DAY = 86400000;
+const KEY = 'chromium_browser_detection_violations';
+
+let current = null;
+
+// An in-memory IndexedDB with the parts the history uses; `failOpen` makes
+// opening the database fail, as in some private modes
+function createIndexedDB(failOpen) {
+    const records = new Map();
+    const later = callback => setImmediate(callback);
+
+    // Requests succeed one by one, and their transaction completes once
+    // none is left, including those made from an onsuccess handler
+    function request(transaction, run) {
+        const req = {};
+        transaction.pending++;
+        later(() => {
+            req.result = run();
+            if (req.onsuccess) {
+                req.onsuccess();
+            }
+            if (--transaction.pending === 0) {
+                later(() => transaction.oncomplete());
+            }
+        });
+        return req;
+    }
+
+    const db = {
+        createObjectStore: () => {},
+        transaction: () => {
+            const transaction = { pending: 0 };
+            const store = {
+                get: key => request(transaction, () => records.get(key)),
+                put: (value, key) => request(transaction, () => records.set(key, JSON.parse(JSON.stringify(value)))),
+                delete: key => request(transaction, () => records.delete(key))
+            };
+            transaction.objectStore = () => store;
+            return transaction;
+        }
+    };
+
+    return {
+        records: records,
+        open: () => {
+            const req = {};
+            later(() => {
+                if (failOpen) {
+                    req.error = new Error('UnknownError');
+                    req.onerror();
+                    return;
+                }
+                req.result = db;
+                req.onupgradeneeded();
+                req.onsuccess();
+            });
+            return req;
+        }
+    };
+}
+
+// BroadcastChannel between the instances created here, delivering
+// asynchronously to every instance but the sender, as browsers do
+function createBroadcastChannel() {
+    const open = new Set();
+    return class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            this.listeners = [];
+            open.add(this);
+        }
+        addEventListener(type, listener) {
+            this.listeners.push(listener);
+        }
+        postMessage(data) {
+            const copy = JSON.parse(JSON.stringify(data));
+            open.forEach(channel => {
+                if (channel !== this && channel.name === this.name) {
+                    setImmediate(() => channel.listeners.forEach(listener => listener({ data: copy })));
+                }
+            });
+        }
+        close() {
+            open.delete(this);
+        }
+    };
+}
+
+function entry(signal, daysAgo) {
+    return { signal: signal, level: 'likely', score: 7, time: NOW - daysAgo * DAY };
+}
+
+function store(entries) {
+    current.window.localStorage.setItem(KEY, JSON.stringify(entries));
+}
+
+function stored() {
+    return JSON.parse(current.window.localStorage.getItem(KEY));
+}
+
+// Starts protection and returns the signals it emits
+function start(options) {
+    const signals = [];
+    on(signal => signals.push(signal));
+    init(Object.assign({
+        environment: current.env,
+        detectors: ['violationHistory']
+    }, options));
+    return signals;
+}
+
+// Lets the stores and fake IndexedDB finish
+async function settle() {
+    for (let i = 0; i < 6; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: NOW });
+    // Plugins and a platform keep the suggestive automation markers quiet
+    current = createTestEnvironment({
+        navigator: { plugins: { length: 3 }, platform: 'Win32' },
+        performance: { now: () => Date.now() - NOW }
+    });
+});
+
+afterEach(() => {
+    dispose();
+    current.close();
+    mock.timers.reset();
+});
+
+describe('violationHistory detector', () => {
+    it('adds decayed past violations to the score', async () => {
+        store([entry('function.debugger', 0), entry('window.size-delta', 0), entry('worker.main-thread-stall', 1),
+            entry('timing.debugger-pause', 2)]);
+        const signals = start({ thresholds: { violationCount: 2.5 } });
+        await settle();
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['history.violations']);
+        assert.deepStrictEqual(signals[0].evidence, {
+            count: 4,
+            weight: 1 + 1 + 0.5 + 0.25,
+            threshold: 2.5,
+            lastTime: NOW
+        });
+    });
+
+    it('ignores violations that decayed or expired', async () => {
+        store([entry('function.debugger', 2), entry('function.debugger', 3), entry('function.debugger', 8),
+            { signal: 'not an entry' }]);
+        const signals = start();
+        await settle();
+
+        assert.deepStrictEqual(signals, []);
+        assert.strictEqual((await getViolationHistory()).length, 2);
+    });
+
+    it('records the violations protection responds to', async () => {
+        store([entry('function.debugger', 1)]);
+        Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+        start({
+            detectors: ['isolatedScript', 'violationHistory'],
+            response: { policies: [] }
+        });
+        mock.timers.tick(1);
+        await settle();
+
+        const entries = stored();
+        assert.strictEqual(entries.length, 2);
+        assert.deepStrictEqual(entries[0], entry('function.debugger', 1));
+        assert.deepStrictEqual(entries[1], {
+            signal: 'automation.webdriver',
+            level: 'likely',
+            score: 8,
+            time: NOW + 1
+        });
+    });
+
+    it('keeps only the most recent entries', async () => {
+        store([entry('function.debugger', 3), entry('function.debugger', 2), entry('function.debugger', 1)]);
+        start({ history: { maxEntries: 2 } });
+        await settle();
+
+        const history = await getViolationHistory();
+        assert.deepStrictEqual(history.map(e => e.time), [NOW - 2 * DAY, NOW - DAY]);
+        assert.deepStrictEqual(history.map(e => e.weight), [0.25, 0.5]);
+    });
+
+    it('keeps the violations other tabs store', async () => {
+        store([entry('function.debugger', 2)]);
+        Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+        const signals = start({ detectors: ['isolatedScript', 'violationHistory'], response: { policies: [] } });
+        await settle();
+
+        // Another tab adds a violation, and a second one it hasn't announced yet
+        const other = [entry('function.debugger', 2), entry('window.size-delta', 1)];
+        store(other);
+        current.window.dispatchEvent(new current.window.StorageEvent('storage', {
+            key: KEY,
+            newValue: JSON.stringify(other)
+        }));
+        store(other.concat(entry('worker.main-thread-stall', 0.5)));
+        mock.timers.tick(1);
+        await settle();
+
+        assert.deepStrictEqual(stored().map(e => e.signal), [
+            'function.debugger', 'window.size-delta', 'worker.main-thread-stall', 'automation.webdriver'
+        ]);
+        assert.ok(signals.every(signal => signal.id !== 'history.counter-reset'));
+    });
+
+    it('saves from IndexedDB tabs without overwriting each other', async () => {
+        const indexedDB = createIndexedDB(false);
+        Object.defineProperty(current.window, 'indexedDB', { value: indexedDB });
+        indexedDB.records.set(KEY, [entry('function.debugger', 2)]);
+        Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+        start({ detectors: ['isolatedScript', 'violationHistory'], response: { policies: [] } });
+        await settle();
+
+        indexedDB.records.set(KEY, [entry('function.debugger', 2), entry('window.size-delta', 1)]);
+        mock.timers.tick(1);
+        await settle();
+
+        assert.deepStrictEqual(indexedDB.records.get(KEY).map(e => e.signal),
+            ['function.debugger', 'window.size-delta', 'automation.webdriver']);
+    });
+
+    it('reports another tab dropping the history', async () => {
+        store([entry('function.debugger', 1)]);
+        const signals = start();
+        await settle();
+
+        const event = new current.window.StorageEvent('storage', { key: KEY, newValue: null });
+        current.window.dispatchEvent(event);
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['history.counter-reset']);
+        assert.deepStrictEqual(signals[0].evidence, { count: 1, newCount: 0 });
+    });
+
+    it('forgets a history another tab cleared without reporting it', async () => {
+        store([entry('function.debugger', 1)]);
+        const signals = start();
+        await settle();
+
+        current.window.dispatchEvent(new current.window.StorageEvent('storage', {
+            key: KEY,
+            newValue: JSON.stringify({ cleared: NOW })
+        }));
+        // Nothing is left to drop afterwards
+        current.window.dispatchEvent(new current.window.StorageEvent('storage', { key: KEY, newValue: null }));
+
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('shares the IndexedDB history with other tabs over a BroadcastChannel', async () => {
+        const indexedDB = createIndexedDB(false);
+        const BroadcastChannel = createBroadcastChannel();
+        Object.defineProperty(current.window, 'indexedDB', { value: indexedDB });
+        Object.defineProperty(current.window, 'BroadcastChannel', { value: BroadcastChannel });
+        indexedDB.records.set(KEY, [entry('function.debugger', 1)]);
+        const signals = start();
+        await settle();
+
+        const other = new BroadcastChannel(KEY);
+        other.postMessage([entry('function.debugger', 1), entry('window.size-delta', 0.5)]);
+        await settle();
+        assert.deepStrictEqual(signals, []);
+
+        other.postMessage([entry('window.size-delta', 0.5)]);
+        await settle();
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['history.counter-reset']);
+        assert.deepStrictEqual(signals[0].evidence, { count: 2, newCount: 1 });
+
+        // A clear from another tab's support tooling isn't tampering
+        other.postMessage({ cleared: NOW });
+        other.postMessage([]);
+        await settle();
+        assert.strictEqual(signals.length, 1);
+    });
+
+    it('starts empty when neither storage can be used', async () => {
+        const rejections = [];
+        const onRejection = reason => rejections.push(reason);
+        process.on('unhandledRejection', onRejection);
+        Object.defineProperty(current.window, 'indexedDB', {
+            value: {
+                open: () => {
+                    throw new Error('SecurityError: access to IndexedDB is denied');
+                }
+            }
+        });
+        Object.defineProperty(current.window, 'localStorage', {
+            get: () => {
+                throw new Error('SecurityError: access to localStorage is denied');
+            }
+        });
+
+        try {
+            const signals = start();
+            await settle();
+
+            assert.deepStrictEqual(signals, []);
+            assert.deepStrictEqual(await getViolationHistory(), []);
+            assert.deepStrictEqual(rejections, []);
+        } finally {
+            process.removeListener('unhandledRejection', onRejection);
+        }
+    });
+
+    it('prefers IndexedDB', async () => {
+        const indexedDB = createIndexedDB(false);
+        Object.defineProperty(current.window, 'indexedDB', { value: indexedDB });
+        indexedDB.records.set(KEY, [0, 0, 0].map(daysAgo => entry('function.debugger', daysAgo)));
+        const signals = start();
+        await settle();
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['history.violations']);
+        await clearViolationHistory();
+        assert.deepStrictEqual(indexedDB.records.get(KEY), { cleared: NOW });
+    });
+
+    it('falls back to localStorage when IndexedDB fails', async () => {
+        Object.defineProperty(current.window, 'indexedDB', { value: createIndexedDB(true) });
+        store([0, 0, 0].map(daysAgo => entry('function.debugger', daysAgo)));
+        const signals = start();
+        await settle();
+
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['history.violations']);
+    });
+});
+
+describe('violation history API', () => {
+    it('inspects and clears the history without protection running', async () => {
+        store([entry('function.debugger', 1)]);
+        const options = { environment: current.env, history: { halfLife: 2 * DAY } };
+
+        assert.deepStrictEqual(await getViolationHistory(options),
+            [Object.assign(entry('function.debugger', 1), { weight: Math.SQRT1_2 })]);
+
+        await clearViolationHistory(options);
+        assert.deepStrictEqual(stored(), { cleared: NOW });
+        assert.deepStrictEqual(await getViolationHistory(options), []);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { runDetectors, createIntegrityManifest } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+const { readBuiltInDigests, formatManifest, compareDigests } = require('../tools/integrity-manifest');
+
+let current = null;
+
+// Runs codeModification and waits for its digests; returns the signals
+async function run(options) {
+    current = createTestEnvironment();
+    const subtle = current.env.crypto.subtle;
+    const digests = [];
+    current.env.crypto = {
+        subtle: {
+            digest: function() {
+                const digest = subtle.digest.apply(subtle, arguments);
+                digests.push(digest);
+                return digest;
+            }
+        }
+    };
+
+    const signals = runDetectors(Object.assign({
+        detectors: ['codeModification'],
+        environment: current.env
+    }, options));
+    await Promise.all(digests);
+    await new Promise(resolve => setImmediate(resolve));
+    return signals;
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('codeModification detector', () => {
+    it('matches the built-in manifest', async () => {
+        assert.deepStrictEqual(await run(), [],
+            'run node tools/integrity-manifest.js --write after changing protection code');
+    });
+
+    it('names the function whose source changed', async () => {
+        const manifest = await createIntegrityManifest();
+        const expected = manifest.digests['detectors.windowSize'];
+        manifest.digests['detectors.windowSize'] = '0'.repeat(64);
+        manifest.digests['detectors.removed'] = '0'.repeat(64);
+
+        const signals = await run({ integrity: { manifest: manifest } });
+        assert.deepStrictEqual(signals.map(signal => signal.evidence), [
+            { function: 'detectors.windowSize', expected: '0'.repeat(64), actual: expected },
+            { function: 'detectors.removed', expected: '0'.repeat(64), actual: null }
+        ]);
+        assert.strictEqual(signals[0].id, 'integrity.source-mismatch');
+    });
+
+    it('reports a manifest made for another build as a diagnostic', async () => {
+        const manifest = await createIntegrityManifest();
+        Object.keys(manifest.digests).forEach(name => {
+            manifest.digests[name] = '0'.repeat(64);
+        });
+
+        const signals = await run({ integrity: { manifest: manifest } });
+        assert.deepStrictEqual(signals.map(signal => signal.id), ['integrity.manifest-mismatch']);
+        assert.deepStrictEqual(signals[0].evidence, { digests: Object.keys(manifest.digests).length });
+    });
+
+    it('reads sources through the original toString', async () => {
+        const toString = Function.prototype.toString;
+        Function.prototype.toString = function() {
+            return 'function() {}';
+        };
+        try {
+            assert.deepStrictEqual(await run(), []);
+        } finally {
+            Function.prototype.toString = toString;
+        }
+    });
+
+    it('rejects a manifest without digests', () => {
+        assert.throws(() => runDetectors({ integrity: { manifest: { algorithm: 'SHA-256' } } }),
+            /Invalid integrity manifest/);
+    });
+});
+
+describe('integrity manifest tool', () => {
+    it('reads back the manifest it writes', async () => {
+        const manifest = await createIntegrityManifest();
+        const source = 'const INTEGRITY_MANIFEST = ' + formatManifest(manifest) + ';';
+        assert.deepStrictEqual(readBuiltInDigests(source), manifest.digests);
+    });
+
+    it('finds the manifest in minified output', () => {
+        const digest = 'ab'.repeat(32);
+        const source = 'var a={algorithm:"SHA-256",digests:{runTier:"' + digest + '","detectors.x":"' +
+            digest + '"}};';
+        assert.deepStrictEqual(readBuiltInDigests(source), { runTier: digest, 'detectors.x': digest });
+    });
+
+    it('keeps the built-in manifest of script.js current', async () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+        const manifest = await createIntegrityManifest();
+        assert.deepStrictEqual(compareDigests(readBuiltInDigests(source), manifest.digests), []);
+    });
+});
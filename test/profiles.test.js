@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    loadProfiles,
+    runProfile,
+    formatMatrix,
+    updateExpectations
+} = require('../tools/profile-matrix');
+
+const profiles = loadProfiles();
+
+function findProfile(id) {
+    return profiles.find(profile => profile.id === id);
+}
+
+describe('environment profiles', () => {
+    it('includes legit and detection profiles', () => {
+        assert.ok(profiles.some(profile => profile.legit));
+        assert.ok(profiles.some(profile => !profile.legit));
+    });
+
+    profiles.forEach(profile => {
+        it(profile.id + ' fires exactly its expected signals', async () => {
+            const result = await runProfile(profile);
+            assert.deepStrictEqual(result.unexpected, []);
+            assert.deepStrictEqual(result.missing, []);
+            assert.strictEqual(result.failed, false);
+        });
+    });
+
+    it('fails a legit profile that starts firing', async () => {
+        const profile = findProfile('chrome-windows');
+        const result = await runProfile(Object.assign({}, profile, {
+            navigator: Object.assign({}, profile.navigator, { webdriver: true })
+        }));
+
+        assert.strictEqual(result.failed, true);
+        assert.deepStrictEqual(result.unexpected, ['automation.webdriver']);
+        assert.match(formatMatrix([result]), /FAIL/);
+    });
+
+    it('fails a detection profile that stops firing', async () => {
+        const profile = findProfile('selenium-chromedriver');
+        const result = await runProfile(Object.assign({}, profile, {
+            navigator: Object.assign({}, profile.navigator, { webdriver: false })
+        }));
+
+        assert.strictEqual(result.failed, true);
+        assert.deepStrictEqual(result.missing, ['automation.webdriver']);
+        assert.match(formatMatrix([result]), /\?/);
+    });
+
+    it('keeps the expected signals of legit profiles below the first level', async () => {
+        const result = await runProfile(findProfile('chrome-linux-vm-llvmpipe'));
+
+        assert.deepStrictEqual(result.profile.expect.signals, ['environment.webgl-renderer']);
+        assert.strictEqual(result.risk.level, null);
+        assert.ok(result.risk.score > 0);
+    });
+
+    it('fails a legit profile whose expected signals reach a level', async () => {
+        const profile = findProfile('chrome-linux-vm-llvmpipe');
+        const result = await runProfile(Object.assign({}, profile, {
+            navigator: Object.assign({}, profile.navigator, { webdriver: true }),
+            expect: { signals: ['automation.webdriver', 'environment.webgl-renderer'] }
+        }));
+
+        assert.deepStrictEqual(result.unexpected, []);
+        assert.notStrictEqual(result.risk.level, null);
+        assert.strictEqual(result.failed, true);
+    });
+
+    describe('updating expectations', () => {
+        async function updateCopy(id, changes, acceptLegit) {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+            try {
+                const profile = Object.assign({}, findProfile(id), changes, {
+                    file: path.join(dir, id + '.json')
+                });
+                const refused = updateExpectations([await runProfile(profile)], acceptLegit);
+                return {
+                    refused: refused.map(result => result.profile.id),
+                    signals: JSON.parse(fs.readFileSync(profile.file, 'utf8')).expect.signals
+                };
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }
+
+        const webdriver = { navigator: Object.assign({}, findProfile('chrome-windows').navigator, { webdriver: true }) };
+
+        it('refuses to add signals to a legit profile', async () => {
+            const updated = await updateCopy('chrome-windows', webdriver);
+
+            assert.deepStrictEqual(updated.refused, ['chrome-windows']);
+            assert.deepStrictEqual(updated.signals, []);
+        });
+
+        it('adds signals to a legit profile with acceptLegit', async () => {
+            const updated = await updateCopy('chrome-windows', webdriver, true);
+
+            assert.deepStrictEqual(updated.refused, []);
+            assert.deepStrictEqual(updated.signals, ['automation.webdriver']);
+        });
+
+        it('drops signals a legit profile no longer fires', async () => {
+            const updated = await updateCopy('chrome-windows', {
+                expect: { signals: ['window.size-delta'] }
+            });
+
+            assert.deepStrictEqual(updated.refused, []);
+            assert.deepStrictEqual(updated.signals, []);
+        });
+    });
+});
@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const { createReporter, createEnvironment, version } = require('../script.js');
+
+// Local stand-in for the telemetry backend. `statuses` is consumed one per
+// request; once empty every request is answered with 204.
+function startServer() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            server.requests.push({ method: req.method, headers: req.headers, body: body });
+            res.statusCode = server.statuses.length ? server.statuses.shift() : 204;
+            res.end();
+        });
+    });
+    server.requests = [];
+    server.statuses = [];
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            server.endpoint = 'http://127.0.0.1:' + server.address().port + '/reports';
+            resolve(server);
+        });
+    });
+}
+
+function signal(id, evidence) {
+    return {
+        id: id,
+        detector: 'test',
+        tier: 'primary',
+        time: Date.now(),
+        evidence: evidence || {}
+    };
+}
+
+describe('createReporter', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        server.requests = [];
+        server.statuses = [];
+    });
+
+    it('requires an endpoint', () => {
+        assert.throws(() => createReporter({}), /endpoint/);
+    });
+
+    it('posts a batch with session id, version and environment', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint, sessionId: 'session-1' });
+        reporter.add(signal('window.size-delta', { widthDelta: 300 }));
+        reporter.add(signal('automation.webdriver'));
+        await reporter.flush();
+
+        assert.strictEqual(server.requests.length, 1);
+        assert.strictEqual(server.requests[0].method, 'POST');
+
+        const payload = JSON.parse(server.requests[0].body);
+        assert.strictEqual(payload.sessionId, 'session-1');
+        assert.strictEqual(payload.version, version);
+        assert.strictEqual(typeof payload.environment, 'object');
+        assert.deepStrictEqual(payload.signals.map(s => s.id),
+            ['window.size-delta', 'automation.webdriver']);
+        assert.deepStrictEqual(payload.signals[0].evidence, { widthDelta: 300 });
+    });
+
+    it('numbers payloads and includes the page token', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint, pageToken: 'token-1' });
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+        reporter.add(signal('automation.webdriver'));
+        await reporter.flush();
+
+        const payloads = server.requests.map(request => JSON.parse(request.body));
+        assert.deepStrictEqual(payloads.map(p => p.seq), [0, 1]);
+        assert.strictEqual(payloads[0].pageToken, 'token-1');
+    });
+
+    it('keeps numbering across reporters for one page token', async () => {
+        // As after dispose and init again in a single-page app
+        for (let i = 0; i < 2; i++) {
+            const reporter = createReporter({ endpoint: server.endpoint, pageToken: 'token-2' });
+            reporter.add(signal('window.size-delta'));
+            await reporter.flush();
+        }
+
+        const payloads = server.requests.map(request => JSON.parse(request.body));
+        assert.deepStrictEqual(payloads.map(p => p.seq), [0, 1]);
+    });
+
+    it('folds repeats of a queued signal into one entry', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint });
+        reporter.add(signal('timing.clock-skew', { skew: 10 }));
+        reporter.add(signal('timing.clock-skew', { skew: 20 }));
+        await reporter.flush();
+
+        const signals = JSON.parse(server.requests[0].body).signals;
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].count, 2);
+        assert.deepStrictEqual(signals[0].evidence, { skew: 20 });
+    });
+
+    it('splits batches that exceed the payload size', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint, maxPayloadBytes: 2000 });
+        for (let i = 0; i < 5; i++) {
+            reporter.add(signal('test.signal-' + i, { padding: 'x'.repeat(500) }));
+        }
+        await reporter.flush();
+
+        assert.ok(server.requests.length > 1);
+        server.requests.forEach(request => {
+            assert.ok(Buffer.byteLength(request.body) <= 2000);
+        });
+        const ids = server.requests.reduce((all, request) =>
+            all.concat(JSON.parse(request.body).signals.map(s => s.id)), []);
+        assert.strictEqual(ids.length, 5);
+    });
+
+    it('truncates the evidence of a single oversized signal', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint, maxPayloadBytes: 2000 });
+        reporter.add(signal('test.huge', { padding: 'x'.repeat(5000) }));
+        await reporter.flush();
+
+        const signals = JSON.parse(server.requests[0].body).signals;
+        assert.deepStrictEqual(signals[0].evidence, { truncated: true });
+    });
+
+    it('retries server errors with backoff', async () => {
+        server.statuses = [503, 500];
+        const reporter = createReporter({ endpoint: server.endpoint, retryDelay: 5 });
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        assert.strictEqual(server.requests.length, 3);
+        assert.strictEqual(server.requests[2].body, server.requests[0].body);
+    });
+
+    it('gives up after maxRetries', async () => {
+        server.statuses = [503, 503, 503];
+        const reporter = createReporter({ endpoint: server.endpoint, retryDelay: 5, maxRetries: 2 });
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        assert.strictEqual(server.requests.length, 3);
+    });
+
+    it('does not retry client errors', async () => {
+        server.statuses = [400];
+        const reporter = createReporter({ endpoint: server.endpoint, retryDelay: 5 });
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        assert.strictEqual(server.requests.length, 1);
+    });
+
+    it('flushes through sendBeacon on teardown', async () => {
+        const beacons = [];
+        const originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+        Object.defineProperty(globalThis, 'navigator', {
+            value: { sendBeacon: (url, body) => beacons.push({ url: url, body: body }) },
+            configurable: true
+        });
+
+        try {
+            const reporter = createReporter({ endpoint: server.endpoint });
+            reporter.add(signal('window.size-delta'));
+            await reporter.flush(true);
+        } finally {
+            if (originalNavigator) {
+                Object.defineProperty(globalThis, 'navigator', originalNavigator);
+            } else {
+                delete globalThis.navigator;
+            }
+        }
+
+        assert.strictEqual(beacons.length, 1);
+        assert.strictEqual(beacons[0].url, server.endpoint);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('takes the page it reports on from its environment', async () => {
+        const session = new Map();
+        const env = createEnvironment({
+            window: {
+                fetch: (url, init) => fetch(url, init),
+                sessionStorage: {
+                    getItem: key => session.get(key) || null,
+                    setItem: (key, value) => session.set(key, value)
+                },
+                location: { origin: 'https://example.test', pathname: '/checkout' }
+            },
+            navigator: { userAgent: 'Test/1.0', language: 'en', platform: 'Win32' }
+        });
+
+        const reporter = createReporter({ endpoint: server.endpoint }, env);
+        reporter.listen()();
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        const payload = JSON.parse(server.requests[0].body);
+        assert.strictEqual(payload.sessionId, session.get('chromium_browser_detection_session'));
+        assert.strictEqual(payload.environment.url, 'https://example.test/checkout');
+        assert.strictEqual(payload.environment.userAgent, 'Test/1.0');
+    });
+
+    it('sends nothing from a sampled-out session', async () => {
+        const reporter = createReporter({ endpoint: server.endpoint, sampleRate: 0 });
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('applies per-signal sample rates by id prefix', async () => {
+        const reporter = createReporter({
+            endpoint: server.endpoint,
+            signalSampleRates: { 'timing.*': 0 }
+        });
+        reporter.add(signal('timing.clock-skew'));
+        reporter.add(signal('window.size-delta'));
+        await reporter.flush();
+
+        const ids = JSON.parse(server.requests[0].body).signals.map(s => s.id);
+        assert.deepStrictEqual(ids, ['window.size-delta']);
+    });
+});
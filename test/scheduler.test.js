@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { createScheduler } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+let scheduler = null;
+
+// Time detectors spent running; tasks add to it to simulate their cost
+let busy = 0;
+
+// Scheduler on a jsdom environment whose performance clock follows the mocked
+// Date plus the simulated run time
+function create(options, windowValues) {
+    current = createTestEnvironment({
+        window: windowValues,
+        performance: { now: () => Date.now() + busy }
+    });
+    scheduler = createScheduler(Object.assign({ environment: current.env }, options));
+    return scheduler;
+}
+
+function setHidden(hidden) {
+    Object.defineProperty(current.window.document, 'hidden', { value: hidden, configurable: true });
+    current.window.document.dispatchEvent(new current.window.Event('visibilitychange'));
+}
+
+beforeEach(() => {
+    busy = 0;
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+});
+
+afterEach(() => {
+    scheduler.stop();
+    current.close();
+    mock.timers.reset();
+});
+
+describe('createScheduler', () => {
+    it('runs due tasks in the order they were added, then at their interval', () => {
+        const runs = [];
+        create();
+        scheduler.add('primary', 500, () => runs.push('primary'));
+        scheduler.add('secondary', 1000, () => runs.push('secondary'));
+        scheduler.start();
+
+        mock.timers.tick(1);
+        assert.deepStrictEqual(runs, ['primary', 'secondary']);
+
+        mock.timers.tick(500);
+        assert.deepStrictEqual(runs, ['primary', 'secondary', 'primary']);
+
+        mock.timers.tick(500);
+        assert.deepStrictEqual(runs, ['primary', 'secondary', 'primary', 'primary', 'secondary']);
+    });
+
+    it('defers tasks beyond the per-second budget to the next second', () => {
+        const runs = [];
+        create({ budget: 50 });
+        ['a', 'b', 'c'].forEach(name => {
+            scheduler.add(name, 10000, () => {
+                runs.push(name);
+                busy += 30;
+            });
+        });
+        scheduler.start();
+
+        mock.timers.tick(1);
+        assert.deepStrictEqual(runs, ['a', 'b']);
+        assert.strictEqual(scheduler.stats().budgetUsed, 60);
+
+        mock.timers.tick(1000);
+        assert.deepStrictEqual(runs, ['a', 'b', 'c']);
+    });
+
+    it('re-draws randomized intervals after every run', () => {
+        const dues = [];
+        create();
+        scheduler.add('quaternary', [2000, 5000], () => {});
+        scheduler.start();
+
+        for (let i = 0; i < 5; i++) {
+            mock.timers.tick(5000);
+            dues.push(scheduler.stats().tasks[0].due - Date.now());
+        }
+
+        dues.forEach(delay => assert.ok(delay >= -3000 && delay <= 5000));
+        assert.ok(new Set(dues).size > 1);
+    });
+
+    it('pauses while the document is hidden and catches up when shown', () => {
+        let runs = 0;
+        create();
+        scheduler.add('primary', 500, () => runs++);
+        scheduler.start();
+        mock.timers.tick(1);
+        assert.strictEqual(runs, 1);
+
+        setHidden(true);
+        mock.timers.tick(5000);
+        assert.strictEqual(runs, 1);
+        assert.strictEqual(scheduler.stats().paused, true);
+
+        setHidden(false);
+        mock.timers.tick(1);
+        assert.strictEqual(runs, 2);
+    });
+
+    it('does not start running on a hidden page', () => {
+        let runs = 0;
+        create();
+        Object.defineProperty(current.window.document, 'hidden', { value: true, configurable: true });
+        scheduler.add('primary', 500, () => runs++);
+        scheduler.start();
+
+        mock.timers.tick(2000);
+        assert.strictEqual(runs, 0);
+    });
+
+    it('stretches intervals after Long Tasks and recovers', () => {
+        let report = null;
+        class FakePerformanceObserver {
+            constructor(callback) {
+                report = entries => callback({ getEntries: () => entries });
+            }
+            observe(options) {
+                assert.strictEqual(options.type, 'longtask');
+            }
+            disconnect() {}
+        }
+
+        let runs = 0;
+        create({ longTaskBackoff: 2, maxBackoff: 4, backoffRecovery: 10000 },
+            { PerformanceObserver: FakePerformanceObserver });
+        scheduler.add('primary', 500, () => runs++);
+        scheduler.start();
+        mock.timers.tick(1);
+
+        report([{ entryType: 'longtask', duration: 120 }]);
+        report([{ entryType: 'longtask', duration: 80 }]);
+        report([{ entryType: 'longtask', duration: 200 }]);
+        assert.strictEqual(scheduler.stats().backoff, 4);
+
+        // Already scheduled at 500ms; every run after that waits 2000ms
+        mock.timers.tick(500);
+        assert.strictEqual(runs, 2);
+        mock.timers.tick(1500);
+        assert.strictEqual(runs, 2);
+        mock.timers.tick(500);
+        assert.strictEqual(runs, 3);
+
+        mock.timers.tick(10000);
+        assert.ok(scheduler.stats().backoff < 4);
+    });
+
+    it('runs inside idle periods and stops when the deadline is used up', () => {
+        const runs = [];
+        let idle = null;
+        const requestIdleCallback = (callback, options) => {
+            assert.strictEqual(options.timeout, 1000);
+            idle = callback;
+            return 1;
+        };
+
+        create({}, { requestIdleCallback: requestIdleCallback });
+        scheduler.add('a', 10000, () => runs.push('a'));
+        scheduler.add('b', 10000, () => runs.push('b'));
+        scheduler.start();
+        mock.timers.tick(1);
+        assert.deepStrictEqual(runs, []);
+
+        // The first due task runs even without idle time left
+        idle({ didTimeout: false, timeRemaining: () => 0 });
+        assert.deepStrictEqual(runs, ['a']);
+
+        mock.timers.tick(1);
+        idle({ didTimeout: false, timeRemaining: () => 40 });
+        assert.deepStrictEqual(runs, ['a', 'b']);
+    });
+
+    it('keeps running other tasks when one throws', () => {
+        const runs = [];
+        create();
+        scheduler.add('broken', 500, () => {
+            throw new Error('detector failure');
+        });
+        scheduler.add('working', 500, () => runs.push('working'));
+        scheduler.start();
+
+        mock.timers.tick(1);
+        mock.timers.tick(500);
+        assert.deepStrictEqual(runs, ['working', 'working']);
+    });
+
+    it('runs nothing after stop', () => {
+        let runs = 0;
+        create();
+        scheduler.add('primary', 500, () => runs++);
+        scheduler.start();
+        mock.timers.tick(1);
+        scheduler.stop();
+
+        mock.timers.tick(5000);
+        assert.strictEqual(runs, 1);
+    });
+});
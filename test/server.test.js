@@ -0,0 +1,286 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+const {
+    createReportHandler,
+    createMemoryStore,
+    issuePageToken,
+    verifyPageToken,
+    validateReport
+} = require('../server');
+
+const SECRET = 'test-secret';
+
+function report(overrides) {
+    return Object.assign({
+        sessionId: 'session-1',
+        pageToken: issuePageToken({ secret: SECRET }),
+        seq: 0,
+        version: '1.0.0',
+        sentAt: Date.now(),
+        environment: { userAgent: 'test' },
+        risk: { score: 4.5, level: 'suspicious' },
+        signals: [{
+            id: 'window.size-delta',
+            detector: 'windowSize',
+            tier: 'primary',
+            time: Date.now(),
+            lastSeen: Date.now(),
+            count: 2,
+            evidence: { widthDelta: 300 }
+        }]
+    }, overrides);
+}
+
+describe('page tokens', () => {
+    it('verifies tokens it issued', () => {
+        const token = issuePageToken({ secret: SECRET });
+        const verified = verifyPageToken(token, { secret: SECRET });
+        assert.ok(verified);
+        assert.strictEqual(typeof verified.nonce, 'string');
+    });
+
+    it('rejects tokens signed with another secret', () => {
+        const token = issuePageToken({ secret: 'other-secret' });
+        assert.strictEqual(verifyPageToken(token, { secret: SECRET }), null);
+    });
+
+    it('rejects tampered tokens', () => {
+        const parts = issuePageToken({ secret: SECRET }).split('.');
+        parts[1] = 'forged-nonce';
+        assert.strictEqual(verifyPageToken(parts.join('.'), { secret: SECRET }), null);
+    });
+
+    it('rejects expired tokens', () => {
+        const token = issuePageToken({ secret: SECRET, now: Date.now() - 10000 });
+        assert.strictEqual(verifyPageToken(token, { secret: SECRET, maxAge: 5000 }), null);
+    });
+});
+
+describe('validateReport', () => {
+    it('accepts a well-formed report', () => {
+        assert.deepStrictEqual(validateReport(report()), []);
+    });
+
+    it('lists every problem', () => {
+        const errors = validateReport(report({
+            sessionId: '',
+            seq: -1,
+            signals: [{ id: 'not a signal id!', count: 0 }]
+        }));
+        assert.ok(errors.some(error => error.startsWith('sessionId')));
+        assert.ok(errors.some(error => error.startsWith('seq')));
+        assert.ok(errors.some(error => error.startsWith('signals[0].id')));
+        assert.ok(errors.some(error => error.startsWith('signals[0].count')));
+    });
+});
+
+describe('createReportHandler', () => {
+    let server;
+    let handler;
+    let endpoint;
+
+    function post(body) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+    }
+
+    function listen(options) {
+        handler = createReportHandler(Object.assign({ secret: SECRET }, options));
+        server = http.createServer(handler);
+        return new Promise(resolve => {
+            server.listen(0, '127.0.0.1', () => {
+                endpoint = 'http://127.0.0.1:' + server.address().port + '/';
+                resolve();
+            });
+        });
+    }
+
+    beforeEach(() => listen());
+
+    afterEach(() => {
+        server.close();
+    });
+
+    it('requires a secret', () => {
+        assert.throws(() => createReportHandler({}), /secret/);
+    });
+
+    it('accepts a valid report and keeps the session risk', async () => {
+        const response = await post(report());
+        assert.strictEqual(response.status, 204);
+
+        const session = await handler.getSession('session-1');
+        assert.strictEqual(session.reports, 1);
+        assert.strictEqual(session.maxScore, 4.5);
+        assert.strictEqual(session.signals['window.size-delta'].count, 2);
+    });
+
+    it('rejects anything but POST', async () => {
+        const response = await fetch(endpoint);
+        assert.strictEqual(response.status, 405);
+    });
+
+    it('rejects malformed reports', async () => {
+        assert.strictEqual((await post('not json')).status, 400);
+
+        const response = await post(report({ signals: [] }));
+        assert.strictEqual(response.status, 400);
+        assert.ok((await response.json()).errors.length);
+    });
+
+    it('rejects forged page tokens', async () => {
+        const response = await post(report({ pageToken: issuePageToken({ secret: 'forged' }) }));
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects replayed reports', async () => {
+        const body = report();
+        assert.strictEqual((await post(body)).status, 204);
+        assert.strictEqual((await post(body)).status, 409);
+
+        // The next sequence number from the same page is still accepted
+        assert.strictEqual((await post(Object.assign({}, body, { seq: 1 }))).status, 204);
+    });
+
+    it('binds a page token to the first session using it', async () => {
+        const body = report();
+        assert.strictEqual((await post(body)).status, 204);
+
+        const response = await post(Object.assign({}, body, { sessionId: 'session-2', seq: 1 }));
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('checks parallel reports of one page one at a time', async () => {
+        // Copies values and answers slowly, as a networked store would
+        const store = createMemoryStore();
+        const slow = {
+            get: key => store.get(key).then(value => new Promise(resolve => {
+                setTimeout(() => resolve(value && JSON.parse(JSON.stringify(value))), 10);
+            })),
+            set: (key, value) => store.set(key, JSON.parse(JSON.stringify(value))),
+            delete: key => store.delete(key)
+        };
+        server.close();
+        await listen({ store: slow });
+
+        const body = report();
+        const statuses = await Promise.all([
+            post(body),
+            post(Object.assign({}, body, { seq: 1 })),
+            post(body)
+        ].map(response => response.then(r => r.status)));
+        assert.deepStrictEqual(statuses.slice().sort(), [204, 204, 409]);
+        assert.strictEqual((await post(Object.assign({}, body, { seq: 1 }))).status, 409);
+    });
+
+    it('rejects oversized bodies', async () => {
+        server.close();
+        await listen({ maxBodyBytes: 100 });
+
+        assert.strictEqual((await post(report())).status, 413);
+    });
+
+    it('rate limits per session', async () => {
+        server.close();
+        await listen({ rateLimit: { max: 2 } });
+
+        const token = issuePageToken({ secret: SECRET });
+        const statuses = [];
+        for (let seq = 0; seq < 3; seq++) {
+            statuses.push((await post(report({ pageToken: token, seq: seq }))).status);
+        }
+        assert.deepStrictEqual(statuses, [204, 204, 429]);
+
+        // Other sessions are unaffected
+        const other = report({ sessionId: 'session-2' });
+        assert.strictEqual((await post(other)).status, 204);
+    });
+
+    it('lets a rate limited session report again in the next window', async () => {
+        let now = Date.now();
+        mock.method(Date, 'now', () => now);
+        try {
+            server.close();
+            await listen({ rateLimit: { max: 1, window: 1000 } });
+
+            const token = issuePageToken({ secret: SECRET, now: now });
+            assert.strictEqual((await post(report({ pageToken: token, seq: 0 }))).status, 204);
+            assert.strictEqual((await post(report({ pageToken: token, seq: 1 }))).status, 429);
+
+            now += 1000;
+            assert.strictEqual((await post(report({ pageToken: token, seq: 1 }))).status, 204);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+
+    it('uses a pluggable store and reports to onReport', async () => {
+        const store = createMemoryStore();
+        const keys = [];
+        const received = [];
+        const tracking = {
+            get: key => store.get(key),
+            set: (key, value) => {
+                keys.push(key);
+                return store.set(key, value);
+            },
+            delete: key => store.delete(key)
+        };
+
+        server.close();
+        await listen({
+            store: tracking,
+            onReport: (body, session) => received.push(session.sessionId)
+        });
+
+        assert.strictEqual((await post(report())).status, 204);
+        assert.ok(keys.includes('session:session-1'));
+        assert.ok(keys.some(key => key.startsWith('page:')));
+        assert.deepStrictEqual(received, ['session-1']);
+    });
+});
+
+describe('createMemoryStore', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('expires entries ttl ms after they were written', async () => {
+        let now = 1000;
+        mock.method(Date, 'now', () => now);
+        const store = createMemoryStore({ ttl: 100 });
+
+        await store.set('a', 1);
+        now += 99;
+        assert.strictEqual(await store.get('a'), 1);
+        await store.set('a', 2);
+        now += 99;
+        assert.strictEqual(await store.get('a'), 2);
+        now += 1;
+        assert.strictEqual(await store.get('a'), undefined);
+    });
+
+    it('sweeps expired entries at most once per sweepInterval', async () => {
+        let now = 1000;
+        mock.method(Date, 'now', () => now);
+        const deleted = [];
+        const store = createMemoryStore({ ttl: 100, sweepInterval: 500 });
+        const original = Map.prototype.delete;
+        mock.method(Map.prototype, 'delete', function(key) {
+            deleted.push(key);
+            return original.call(this, key);
+        });
+
+        await store.set('a', 1);
+        now += 200;
+        await store.set('b', 1);
+        assert.deepStrictEqual(deleted, []);
+
+        now += 300;
+        await store.set('c', 1);
+        assert.deepStrictEqual(deleted, ['a', 'b']);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { init, dispose, getRisk } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+let doc = null;
+
+// Starts protection with the shield policy on a page that has a webdriver
+// flag (score 8, level 'likely' at 6) and protected content
+function start(options) {
+    Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+    init(Object.assign({
+        environment: current.env,
+        detectors: ['isolatedScript'],
+        response: { policies: ['shield'] }
+    }, options));
+    mock.timers.tick(1);
+}
+
+function stopDetecting() {
+    Object.defineProperty(current.window.navigator, 'webdriver', { value: false, configurable: true });
+}
+
+function status() {
+    const region = doc.getElementById('protection-shield-status');
+    return region && region.textContent;
+}
+
+// Lets the MutationObserver deliver
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    // Plugins and a platform keep the suggestive automation markers quiet
+    current = createTestEnvironment({
+        navigator: { plugins: { length: 3 }, platform: 'Win32' },
+        performance: { now: () => Date.now() }
+    });
+    doc = current.window.document;
+    doc.body.innerHTML =
+        '<section id="article" data-protect style="color: red">Account summary</section>' +
+        '<p id="card" data-protect="placeholder" data-protect-placeholder="Card hidden">4111 1111</p>' +
+        '<div id="form" data-protect="hide" aria-hidden="false"><button id="send">Send</button></div>' +
+        '<p id="public">Public</p>';
+});
+
+afterEach(() => {
+    dispose();
+    current.close();
+    mock.timers.reset();
+});
+
+describe('shield policy', () => {
+    it('shields protected elements accessibly', () => {
+        doc.getElementById('send').focus();
+        start();
+
+        const article = doc.getElementById('article');
+        assert.strictEqual(article.getAttribute('data-protect-shielded'), 'blur');
+        assert.strictEqual(article.style.getPropertyValue('filter'), 'blur(8px)');
+        assert.strictEqual(article.style.color, 'red');
+
+        const form = doc.getElementById('form');
+        assert.strictEqual(form.style.getPropertyValue('visibility'), 'hidden');
+        assert.strictEqual(form.getAttribute('aria-hidden'), 'true');
+        assert.ok(form.hasAttribute('inert'));
+        assert.notStrictEqual(doc.activeElement, doc.getElementById('send'));
+
+        const card = doc.getElementById('card');
+        assert.strictEqual(card.style.getPropertyValue('display'), 'none');
+        assert.strictEqual(card.previousSibling.textContent, 'Card hidden');
+
+        assert.strictEqual(doc.getElementById('public').hasAttribute('inert'), false);
+
+        const region = doc.getElementById('protection-shield-status');
+        assert.strictEqual(region.getAttribute('role'), 'status');
+        assert.strictEqual(region.getAttribute('aria-live'), 'polite');
+        assert.strictEqual(status(), 'Protected content on this page has been hidden.');
+    });
+
+    it('shields elements marked later', async () => {
+        start();
+
+        const added = doc.createElement('div');
+        added.innerHTML = '<span data-protect>Balance</span>';
+        doc.body.appendChild(added);
+        doc.getElementById('public').setAttribute('data-protect', 'hide');
+        await settle();
+
+        assert.strictEqual(added.firstChild.getAttribute('data-protect-shielded'), 'blur');
+        assert.strictEqual(doc.getElementById('public').getAttribute('data-protect-shielded'), 'hide');
+    });
+
+    it('restores everything once the score drops', async () => {
+        start();
+        stopDetecting();
+
+        // 8 halves every 30 seconds and falls below 6 after about 12.5
+        mock.timers.tick(12000);
+        assert.ok(doc.getElementById('article').hasAttribute('data-protect-shielded'));
+        mock.timers.tick(1000);
+
+        const article = doc.getElementById('article');
+        assert.strictEqual(article.getAttribute('style'), 'color: red');
+        assert.strictEqual(article.hasAttribute('inert'), false);
+        assert.strictEqual(article.hasAttribute('aria-hidden'), false);
+        assert.strictEqual(doc.getElementById('form').getAttribute('aria-hidden'), 'false');
+        assert.strictEqual(doc.querySelector('.protect-placeholder'), null);
+        assert.strictEqual(doc.getElementById('card').hasAttribute('style'), false);
+        assert.strictEqual(status(), 'Protected content on this page is visible again.');
+
+        // No longer shielding what appears afterwards
+        const added = doc.createElement('div');
+        added.setAttribute('data-protect', '');
+        doc.body.appendChild(added);
+        await settle();
+        assert.strictEqual(added.hasAttribute('data-protect-shielded'), false);
+    });
+
+    it('comes back when the score rises again', () => {
+        start();
+        stopDetecting();
+        mock.timers.tick(14000);
+        assert.strictEqual(doc.getElementById('article').hasAttribute('data-protect-shielded'), false);
+
+        Object.defineProperty(current.window.navigator, 'webdriver', { value: true, configurable: true });
+        mock.timers.tick(10000);
+
+        assert.strictEqual(getRisk().score, 8);
+        assert.strictEqual(doc.getElementById('article').getAttribute('data-protect-shielded'), 'blur');
+        assert.strictEqual(status(), 'Protected content on this page has been hidden.');
+    });
+
+    it('stays up while the score stays at the level that raised it', () => {
+        start({
+            scoring: { levels: [{ name: 'shielded', score: 2, policies: ['shield'] }] }
+        });
+        stopDetecting();
+
+        mock.timers.tick(40000);
+        assert.ok(doc.getElementById('article').hasAttribute('data-protect-shielded'));
+        mock.timers.tick(21000);
+        assert.strictEqual(doc.getElementById('article').hasAttribute('data-protect-shielded'), false);
+    });
+
+    it('is lifted on dispose', () => {
+        start();
+        dispose();
+
+        assert.strictEqual(doc.querySelectorAll('[data-protect-shielded], [inert]').length, 0);
+        assert.strictEqual(doc.getElementById('protection-shield-status'), null);
+    });
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => init({ environment: current.env, response: { shield: { mode: 'pixelate' } } }),
+            /Unknown shield mode: pixelate/);
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { runDetectors } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+let current = null;
+
+// The breakpoints detector times a function built with env.Function; this one
+// takes the next of `durations` on the test clock every time it is called
+function createTimedEnvironment(durations) {
+    current = createTestEnvironment();
+    current.env.Function = function() {
+        return () => current.clock.advance(durations.shift());
+    };
+    return current;
+}
+
+function runBreakpoints(options) {
+    return runDetectors(Object.assign({
+        detectors: ['breakpoints'],
+        environment: current.env
+    }, options));
+}
+
+// Runs the breakpoints detector until every duration is used up and collects
+// the signals. An outlying run takes two durations, as it is timed again.
+function sampleAll(durations, options) {
+    durations = durations.slice();
+    createTimedEnvironment(durations);
+    const signals = [];
+    while (durations.length) {
+        signals.push.apply(signals, runBreakpoints(options));
+    }
+    return signals;
+}
+
+function repeat(value, count) {
+    return new Array(count).fill(value);
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('timing baselines', () => {
+    it('judges nothing during warm-up', () => {
+        const signals = sampleAll([1, 1, 40, 1, 1, 40, 1, 1, 1, 1]);
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('flags outliers against the device median', () => {
+        const signals = sampleAll(repeat(1, 10).concat([2, 40, 40]));
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].id, 'timing.breakpoint-slowdown');
+        assert.deepStrictEqual(signals[0].evidence, { duration: 40, median: 1, limit: 6 });
+    });
+
+    it('accepts what is usual on a slow device', () => {
+        const slow = [30, 36, 42, 33, 39, 45, 31, 40, 35, 44];
+        assert.deepStrictEqual(sampleAll(slow.concat([48, 52])), []);
+    });
+
+    it('widens the limit with the spread of the samples', () => {
+        // A 7ms run would stand out among steady 1ms runs
+        const noisy = [1, 3, 1, 3, 1, 3, 1, 3, 1, 3];
+        const signals = sampleAll(noisy.concat([7, 20, 20]));
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].evidence.duration, 20);
+        assert.ok(signals[0].evidence.limit > 7);
+    });
+
+    it('keeps the repeat when a slow run was a one-off stall', () => {
+        // The stalled run is timed again and takes the usual 1ms
+        const signals = sampleAll(repeat(1, 10).concat([40, 1, 1]));
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('ignores samples right after a visibility change', () => {
+        createTimedEnvironment(repeat(1, 10).concat([40, 40, 40, 40]));
+        for (let i = 0; i < 10; i++) {
+            runBreakpoints();
+        }
+
+        current.window.document.dispatchEvent(new current.window.Event('visibilitychange'));
+        assert.deepStrictEqual(runBreakpoints(), []);
+
+        current.clock.advance(1000);
+        assert.strictEqual(runBreakpoints().length, 1);
+    });
+
+    it('ignores samples while the page is hidden', () => {
+        createTimedEnvironment(repeat(1, 10).concat([40, 40]));
+        for (let i = 0; i < 10; i++) {
+            runBreakpoints();
+        }
+
+        Object.defineProperty(current.window.document, 'hidden', { value: true, configurable: true });
+        assert.deepStrictEqual(runBreakpoints(), []);
+    });
+
+    it('takes the warm-up and threshold from the options', () => {
+        const signals = sampleAll([1, 1, 1, 7, 7], {
+            timing: { warmup: 3 },
+            thresholds: { breakpointTime: 5 }
+        });
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].evidence.limit, 6);
+    });
+});
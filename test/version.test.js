@@ -0,0 +1,175 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { runDetectors } = require('../script.js');
+const { createTestEnvironment } = require('./helpers/environment');
+
+// The features the built-in probes look for and the Chromium release that
+// shipped them
+const FEATURES = [
+    ['Array.prototype.flat', 69], ['globalThis', 71], ['Promise.allSettled', 76], ['WeakRef', 84],
+    ['String.prototype.replaceAll', 85], ['Promise.any', 85], ['Intl.Segmenter', 87],
+    ['Array.prototype.at', 92], ['Object.hasOwn', 93], ['Array.prototype.findLast', 97],
+    ['structuredClone', 98], ['Array.prototype.toSorted', 110], ['String.prototype.isWellFormed', 111],
+    ['AbortSignal.any', 116], ['Object.groupBy', 117], ['Promise.withResolvers', 119],
+    ['URL.canParse', 120], ['Array.fromAsync', 121], ['Set.prototype.union', 122], ['URL.parse', 126],
+    ['Promise.try', 128], ['Intl.DurationFormat', 129], ['Float16Array', 135], ['RegExp.escape', 136]
+];
+const CSS_FEATURES = [['selector(:has(a))', 105], ['(container-type: inline-size)', 105], ['selector(&)', 112]];
+
+const CHROME_124 = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/124.0.0.0 Safari/537.36';
+
+let current = null;
+
+function define(target, path, value) {
+    const names = path.split('.');
+    names.slice(0, -1).forEach(name => {
+        target = target[name] = target[name] || {};
+    });
+    target[names[names.length - 1]] = value;
+}
+
+// A window with what Chromium `version` ships: bound functions stand in for
+// native ones, as they stringify the same way
+function engine(version) {
+    const window = {};
+    FEATURES.filter(feature => feature[1] <= version).forEach(feature => {
+        define(window, feature[0], Math.max.bind(null));
+    });
+
+    const supported = CSS_FEATURES.filter(feature => feature[1] <= version).map(feature => feature[0]);
+    window.CSS = { supports: condition => supported.indexOf(condition) !== -1 };
+    return window;
+}
+
+function run(window, navigator, options) {
+    current = createTestEnvironment({ navigator: navigator });
+    current.env.window = window;
+    return runDetectors(Object.assign({
+        detectors: ['featureVersion'],
+        environment: current.env
+    }, options));
+}
+
+afterEach(() => {
+    if (current) {
+        current.close();
+        current = null;
+    }
+});
+
+describe('featureVersion detector', () => {
+    it('accepts the version the engine has', () => {
+        assert.deepStrictEqual(run(engine(124), { userAgent: CHROME_124 }), []);
+    });
+
+    it('flags a claimed version newer than the engine', () => {
+        const signals = run(engine(110), { userAgent: CHROME_124 });
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].id, 'navigator.version-mismatch');
+        assert.deepStrictEqual(signals[0].evidence, {
+            claimed: 124,
+            source: 'user-agent',
+            min: 110,
+            max: 110,
+            unexpected: [],
+            missing: [
+                'String.prototype.isWellFormed (111)', 'CSS selector(&) (112)', 'AbortSignal.any (116)',
+                'Object.groupBy (117)', 'Promise.withResolvers (119)', 'URL.canParse (120)',
+                'Array.fromAsync (121)'
+            ]
+        });
+    });
+
+    it('flags a claimed version older than the engine, preferring Client Hints', () => {
+        const signals = run(engine(129), {
+            userAgent: CHROME_124,
+            userAgentData: { brands: [{ brand: 'Chromium', version: '100' }], mobile: false, platform: 'Windows' }
+        });
+
+        assert.strictEqual(signals.length, 1);
+        assert.strictEqual(signals[0].evidence.source, 'client-hints');
+        assert.strictEqual(signals[0].evidence.min, 129);
+        assert.strictEqual(signals[0].evidence.max, 134);
+        assert.deepStrictEqual(signals[0].evidence.missing, []);
+        assert.ok(signals[0].evidence.unexpected.indexOf('Promise.withResolvers (119)') !== -1);
+    });
+
+    it('tolerates the configured number of releases', () => {
+        // Nothing tells 125 from 124, and 127 is within two releases of that
+        const navigator = { userAgent: CHROME_124.replace('124.0', '127.0') };
+
+        assert.deepStrictEqual(run(engine(124), navigator), []);
+        current.close();
+        assert.strictEqual(run(engine(124), navigator, { thresholds: { versionDrift: 1 } }).length, 1);
+    });
+
+    it('does not count polyfilled features', () => {
+        const window = engine(110);
+        window.Object.groupBy = function groupBy() {};
+        window.Promise.withResolvers = function withResolvers() {};
+
+        const signals = run(window, { userAgent: CHROME_124.replace('124.0', '110.0') });
+        assert.deepStrictEqual(signals, []);
+    });
+
+    it('is not fooled by a toString replaced to call everything native', () => {
+        // Polyfills for everything 116 to 121 shipped
+        const window = engine(112);
+        FEATURES.filter(feature => feature[1] >= 116 && feature[1] <= 121).forEach(feature => {
+            define(window, feature[0], function polyfill() {});
+        });
+        const toString = Function.prototype.toString;
+        Function.prototype.toString = function() {
+            return 'function () { [native code] }';
+        };
+
+        try {
+            assert.deepStrictEqual(run(window, { userAgent: CHROME_124.replace('124.0', '112.0') }), []);
+        } finally {
+            Function.prototype.toString = toString;
+        }
+    });
+
+    it('does not count natives replaced by a polyfill as missing', () => {
+        const window = engine(130);
+        // core-js replacing structuredClone (98) on a current engine
+        window.structuredClone = function structuredClone() {};
+
+        assert.deepStrictEqual(run(window, { userAgent: CHROME_124.replace('124.0', '130.0') }), []);
+    });
+
+    it('leaves contradicting features inconclusive', () => {
+        const window = engine(124);
+        delete window.Array.prototype.flat;
+
+        assert.deepStrictEqual(run(window, { userAgent: CHROME_124.replace('124.0', '60.0') }), []);
+    });
+
+    it('skips CSS probes without CSS.supports', () => {
+        const window = engine(124);
+        delete window.CSS;
+        assert.deepStrictEqual(run(window, { userAgent: CHROME_124 }), []);
+    });
+
+    it('takes extra probes from the options', () => {
+        const window = engine(136);
+        window.navigation = { brandNewMethod: Math.max.bind(null) };
+
+        const signals = run(window, { userAgent: CHROME_124.replace('124.0', '136.0') }, {
+            versionProbes: [{ global: 'navigation.brandNewMethod', chromium: 140 }]
+        });
+        assert.strictEqual(signals.length, 1);
+        assert.deepStrictEqual(signals[0].evidence.unexpected, ['navigation.brandNewMethod (140)']);
+
+        assert.throws(() => runDetectors({ versionProbes: [{ global: 'navigation' }] }),
+            /Invalid version probe/);
+    });
+
+    it('ignores browsers that do not claim Chromium', () => {
+        const firefox = 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0';
+        assert.deepStrictEqual(run(engine(90), { userAgent: firefox }), []);
+    });
+});
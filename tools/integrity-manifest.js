@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * SOURCE INTEGRITY MANIFEST
+ *
+ * Hashes the source of the protection functions in a build of script.js and
+ * records the SHA-256 digests its codeModification detector checks at runtime.
+ * Digests cover the exact source text the browser sees, so run this after
+ * every change to the protection code, and on the final bundle when the
+ * script is minified or otherwise transformed.
+ *
+ * Usage:
+ *
+ *     node tools/integrity-manifest.js [script] [--write | --check]
+ *
+ * Prints the manifest as JSON, which can also be passed to `init` as
+ * `integrity.manifest`. `--write` replaces the built-in manifest of the script
+ * with it; `--check` fails when the built-in manifest is out of date.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCRIPT = path.join(__dirname, '..', 'script.js');
+
+// The INTEGRITY_MANIFEST literal, as written by this tool or after minification
+const MANIFEST_LITERAL = /\{\s*algorithm:\s*(['"])SHA-256\1,\s*digests:\s*\{[^{}]*\}\s*\}/;
+// A name, quoted or not, and its digest
+const DIGEST_ENTRY = /(?:(['"])([^'"]+)\1|([\w$]+))\s*:\s*['"]([0-9a-f]{64})['"]/g;
+
+function createManifest(file) {
+    return require(path.resolve(file)).createIntegrityManifest();
+}
+
+// The digests of the built-in manifest in `source`, or null without one
+function readBuiltInDigests(source) {
+    const literal = source.match(MANIFEST_LITERAL);
+    if (!literal) {
+        return null;
+    }
+
+    const digests = {};
+    let entry;
+    while ((entry = DIGEST_ENTRY.exec(literal[0])) !== null) {
+        digests[entry[2] || entry[3]] = entry[4];
+    }
+    return digests;
+}
+
+// The manifest as a literal in the style of script.js
+function formatManifest(manifest) {
+    const names = Object.keys(manifest.digests);
+    return [
+        '{',
+        '    algorithm: \'' + manifest.algorithm + '\',',
+        '    digests: {',
+        names.map((name, i) => '        \'' + name + '\': \'' + manifest.digests[name] + '\'' +
+            (i < names.length - 1 ? ',' : '')).join('\n'),
+        '    }',
+        '}'
+    ].filter(line => line !== '').join('\n');
+}
+
+// Names whose digest differs between two manifests' digests, or that only one has
+function compareDigests(expected, actual) {
+    return Array.from(new Set(Object.keys(expected).concat(Object.keys(actual))))
+        .filter(name => expected[name] !== actual[name])
+        .sort();
+}
+
+async function main(argv) {
+    const file = argv.filter(arg => !arg.startsWith('--'))[0] || DEFAULT_SCRIPT;
+    const source = fs.readFileSync(file, 'utf8');
+    const builtIn = readBuiltInDigests(source);
+    const manifest = await createManifest(file);
+
+    if (argv.indexOf('--check') !== -1) {
+        const stale = builtIn ? compareDigests(builtIn, manifest.digests) : ['(no built-in manifest)'];
+        stale.forEach(name => {
+            console.log('out of date: ' + name);
+        });
+        if (stale.length) {
+            console.log('\nRun node tools/integrity-manifest.js --write to update ' + file + '.');
+        }
+        return stale.length ? 1 : 0;
+    }
+
+    if (argv.indexOf('--write') !== -1) {
+        if (!builtIn) {
+            console.error('No built-in manifest found in ' + file);
+            return 1;
+        }
+        fs.writeFileSync(file, source.replace(MANIFEST_LITERAL, formatManifest(manifest)));
+        console.log('Recorded ' + Object.keys(manifest.digests).length + ' digests in ' + file + '.');
+        return 0;
+    }
+
+    console.log(JSON.stringify(manifest, null, 2));
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    readBuiltInDigests: readBuiltInDigests,
+    formatManifest: formatManifest,
+    compareDigests: compareDigests
+};
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * ENVIRONMENT PROFILE REGRESSION RUNNER
+ *
+ * Runs the environment-dependent detectors against every JSON profile in
+ * profiles/ and prints a matrix of the signals that fire. Each profile records
+ * the signals it is expected to produce in `expect.signals`:
+ *
+ * - a legit profile (`"legit": true`) fails the run when a signal fires that
+ *   isn't expected, i.e. a detector change started flagging real users, or
+ *   when its expected signals together reach the first risk level, i.e. the
+ *   known false positives alone would trigger a response
+ * - any other profile fails the run when an expected signal stops firing,
+ *   i.e. a detector change lost a detection
+ *
+ * Usage:
+ *
+ *     node tools/profile-matrix.js [profiles-dir] [--update [--accept-legit]]
+ *
+ * `--update` rewrites each profile's `expect.signals` with what fires now,
+ * except that it never adds a signal to a legit profile unless
+ * `--accept-legit` is given too.
+ *
+ * Detectors run once against the profile's values, which the geometry checks
+ * take as their baseline. A profile may describe a change after load in
+ * `then` (window, screen and navigator values, e.g. DevTools docking or a zoom
+ * change); the detectors then run a second time. `then.events` lists events
+ * the browser fires on the window with the change (e.g. "resize"), and
+ * `then.focused: false` says the page lost focus with it, as when DevTools
+ * opens. The page has focus otherwise. Signals detectors report
+ * asynchronously (e.g. after a Permissions API query) count once pending
+ * promises have settled.
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const { runDetectors, createEnvironment, scoreSignals } = require('../script.js');
+
+// Detectors whose outcome depends on the values a profile describes. Timing,
+// tampering and setup detectors depend on the engine running the check.
+const PROFILE_DETECTORS = [
+    'windowSize',
+    'userAgent',
+    'isolatedScript',
+    'emulatedEnvironment',
+    'headlessChromium',
+    'timezone'
+];
+
+const DEFAULT_PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+function loadProfiles(dir) {
+    dir = dir || DEFAULT_PROFILES_DIR;
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            profile.file = path.join(dir, file);
+            profile.id = path.basename(file, '.json');
+            return profile;
+        });
+}
+
+// ==================== PROFILE ENVIRONMENTS ====================
+
+/**
+ * Builds a detector environment on jsdom that reports the profile's values.
+ * Returns { env, window, close }.
+ */
+function createProfileEnvironment(profile) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://example.test/',
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole()
+    });
+    const window = dom.window;
+
+    defineValues(window, profile.window);
+    defineValues(window.screen, profile.screen);
+    defineValues(window.navigator, Object.assign({}, profile.navigator, {
+        plugins: fakeList(window.PluginArray, (profile.navigator || {}).plugins || 0),
+        mimeTypes: fakeList(window.MimeTypeArray, (profile.navigator || {}).mimeTypes || 0)
+    }));
+    defineValues(window, profile.globals);
+    defineValues(window.document, { hasFocus: () => true });
+
+    // { permission, state }: Notification.permission, and the state the
+    // Permissions API reports for notifications
+    if (profile.notifications) {
+        window.Notification = { permission: profile.notifications.permission };
+        defineValues(window.navigator, {
+            permissions: {
+                query: descriptor => descriptor.name === 'notifications'
+                    ? Promise.resolve({ state: profile.notifications.state })
+                    : Promise.reject(new TypeError('Unsupported permission'))
+            }
+        });
+    }
+
+    const webgl = profile.webgl;
+    window.HTMLCanvasElement.prototype.getContext = function(type) {
+        if (!webgl || (type !== 'webgl' && type !== 'experimental-webgl')) {
+            return null;
+        }
+        return {
+            RENDERER: 0x1F01,
+            VENDOR: 0x1F00,
+            getParameter: name => name === 0x1F01 ? webgl.renderer : webgl.vendor
+        };
+    };
+
+    if (profile.audio) {
+        window.AudioContext = function() {
+            this.sampleRate = profile.audio.sampleRate;
+        };
+    }
+
+    const intl = Object.assign({ timeZone: 'UTC', locale: 'en-US' }, profile.intl);
+
+    return {
+        env: createEnvironment({
+            window: window,
+            Intl: createProfileIntl(intl),
+            Date: createProfileDate(intl.timeZone, profile.timezoneOffset)
+        }),
+        window: window,
+        close: () => window.close()
+    };
+}
+
+// Applies a profile's `then` step: window, screen and navigator values that
+// change after the page has loaded
+function applyChange(window, change) {
+    defineValues(window, change.window);
+    defineValues(window.screen, change.screen);
+    defineValues(window.navigator, change.navigator);
+    const focused = change.focused !== false;
+    defineValues(window.document, { hasFocus: () => focused });
+    (change.events || []).forEach(type => {
+        window.dispatchEvent(new window.Event(type));
+    });
+}
+
+function createProfileIntl(intl) {
+    class ProfileDateTimeFormat extends Intl.DateTimeFormat {
+        constructor(locales, options) {
+            super(locales || intl.locale, Object.assign({ timeZone: intl.timeZone }, options));
+        }
+    }
+
+    return Object.assign(Object.create(Intl), { DateTimeFormat: ProfileDateTimeFormat });
+}
+
+// Date whose getTimezoneOffset matches the profile's time zone, unless the
+// profile pins a (possibly inconsistent) offset of its own
+function createProfileDate(timeZone, pinnedOffset) {
+    return class ProfileDate extends Date {
+        getTimezoneOffset() {
+            return typeof pinnedOffset === 'number'
+                ? pinnedOffset
+                : timeZoneOffset(timeZone, this);
+        }
+    };
+}
+
+// Minutes to add to local time in `timeZone` to get UTC, as getTimezoneOffset
+function timeZoneOffset(timeZone, date) {
+    const values = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+        values[part.type] = Number(part.value);
+    });
+
+    const local = Date.UTC(values.year, values.month - 1, values.day,
+        values.hour, values.minute, values.second);
+    return Math.round((Math.floor(date.getTime() / 1000) * 1000 - local) / 60000);
+}
+
+// A PluginArray or MimeTypeArray stand-in holding `length` entries
+function fakeList(Interface, length) {
+    const list = Object.create(Interface.prototype);
+    Object.defineProperty(list, 'length', { value: length });
+    for (let i = 0; i < length; i++) {
+        list[i] = { name: 'Entry ' + i };
+    }
+    return list;
+}
+
+function defineValues(target, values) {
+    Object.keys(values || {}).forEach(key => {
+        Object.defineProperty(target, key, {
+            value: values[key],
+            configurable: true,
+            writable: true
+        });
+    });
+}
+
+// ==================== RUNNER ====================
+
+/**
+ * Runs the profile detectors against one profile. Resolves with the ids that
+ * fired and how they compare to the profile's expectations.
+ */
+async function runProfile(profile) {
+    const environment = createProfileEnvironment(profile);
+    const options = { detectors: PROFILE_DETECTORS, environment: environment.env };
+    let signals;
+    try {
+        signals = runDetectors(options);
+        if (profile.then) {
+            await settle();
+            applyChange(environment.window, profile.then);
+            signals = signals.concat(runDetectors(options));
+        }
+        await settle();
+    } finally {
+        environment.close();
+    }
+
+    const fired = Array.from(new Set(signals.map(signal => signal.id))).sort();
+    const expected = ((profile.expect || {}).signals || []).slice().sort();
+
+    const unexpected = fired.filter(id => expected.indexOf(id) === -1);
+    const missing = expected.filter(id => fired.indexOf(id) === -1);
+    // What the accepted false positives of a legit profile add up to
+    const risk = profile.legit ? scoreSignals(expected) : null;
+
+    return {
+        profile: profile,
+        fired: fired,
+        unexpected: unexpected,
+        missing: missing,
+        risk: risk,
+        failed: profile.legit
+            ? unexpected.length > 0 || risk.level !== null
+            : missing.length > 0
+    };
+}
+
+async function runProfiles(dir) {
+    const results = [];
+    for (const profile of loadProfiles(dir)) {
+        results.push(await runProfile(profile));
+    }
+    return results;
+}
+
+// Lets promise callbacks of the detectors run
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// One row per profile, one column per signal that fired anywhere or was
+// expected. x fired as expected, ! fired unexpectedly, ? expected but quiet.
+function formatMatrix(results) {
+    const columns = Array.from(new Set(results.reduce((all, result) =>
+        all.concat(result.fired, result.missing), []))).sort();
+
+    const nameWidth = Math.max(7, ...results.map(result => result.profile.id.length));
+    const lines = [];
+
+    columns.forEach((column, index) => {
+        lines.push(' '.repeat(nameWidth + 9) + '|'.repeat(index) + '+ ' + column);
+    });
+    lines.push('profile'.padEnd(nameWidth) + '  legit  ' + '-'.repeat(columns.length));
+
+    results.forEach(result => {
+        const cells = columns.map(column => {
+            if (result.missing.indexOf(column) !== -1) {
+                return '?';
+            }
+            if (result.fired.indexOf(column) === -1) {
+                return '.';
+            }
+            return result.unexpected.indexOf(column) !== -1 ? '!' : 'x';
+        }).join('');
+
+        lines.push(result.profile.id.padEnd(nameWidth) + '  ' +
+            (result.profile.legit ? 'yes' : 'no ').padEnd(7) +
+            cells + (result.failed ? '  FAIL' : ''));
+    });
+
+    lines.push('');
+    lines.push('x fired as expected  ! fired unexpectedly  ? expected but did not fire');
+    return lines.join('\n');
+}
+
+/**
+ * Records what fires now as each profile's expectations. Signals that newly
+ * fire on a legit profile are only added with `acceptLegit`; returns the
+ * results whose unexpected signals were refused.
+ */
+function updateExpectations(results, acceptLegit) {
+    const refused = [];
+    results.forEach(result => {
+        let signals = result.fired;
+        if (result.profile.legit && !acceptLegit && result.unexpected.length) {
+            signals = signals.filter(id => result.unexpected.indexOf(id) === -1);
+            refused.push(result);
+        }
+
+        const profile = Object.assign({}, result.profile);
+        delete profile.file;
+        delete profile.id;
+        profile.expect = Object.assign({}, profile.expect, { signals: signals });
+        fs.writeFileSync(result.profile.file, JSON.stringify(profile, null, 2) + '\n');
+    });
+    return refused;
+}
+
+async function main(argv) {
+    const update = argv.indexOf('--update') !== -1;
+    const acceptLegit = argv.indexOf('--accept-legit') !== -1;
+    const dir = argv.filter(arg => !arg.startsWith('--'))[0];
+
+    const results = await runProfiles(dir);
+    console.log(formatMatrix(results));
+
+    if (update) {
+        const refused = updateExpectations(results, acceptLegit);
+        console.log('\nUpdated expectations of ' + results.length + ' profiles.');
+        refused.forEach(result => {
+            console.log('\n' + result.profile.id + ' is legit; not recording ' +
+                result.unexpected.join(', ') + '. Fix the detector, or run with ' +
+                '--accept-legit to accept the false positive.');
+        });
+        return refused.length ? 1 : 0;
+    }
+
+    const failures = results.filter(result => result.failed);
+    failures.forEach(result => {
+        console.log('\n' + result.profile.id + ' (' + result.profile.name + '):');
+        result.unexpected.forEach(id => {
+            console.log('  fires on a legit profile: ' + id);
+        });
+        result.missing.forEach(id => {
+            console.log('  no longer fires: ' + id);
+        });
+        if (result.risk && result.risk.level !== null) {
+            console.log('  expected signals score ' + result.risk.score.toFixed(2) +
+                ', reaching ' + result.risk.level + '; a legit profile must stay below every level');
+        }
+    });
+
+    // Fixed false positives only need the expectations brought up to date
+    results.filter(result => result.profile.legit && result.missing.length).forEach(result => {
+        console.log('\n' + result.profile.id + ' no longer fires ' +
+            result.missing.join(', ') + '; run with --update to record it.');
+    });
+
+    return failures.length ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    PROFILE_DETECTORS: PROFILE_DETECTORS,
+    loadProfiles: loadProfiles,
+    createProfileEnvironment: createProfileEnvironment,
+    runProfile: runProfile,
+    runProfiles: runProfiles,
+    formatMatrix: formatMatrix,
+    updateExpectations: updateExpectations
+};
@@ -0,0 +1,31 @@
+/**
+ * HEARTBEAT WORKER
+ *
+ * The worker of the webWorker detector, for pages whose Content-Security-Policy
+ * doesn't allow blob: workers. Serve it from the page's own origin and pass
+ * its URL as `csp.workerUrl`. Same code as `workerCode` in script.js.
+ */
+let timer = null;
+
+function beat() {
+    self.postMessage({
+        type: 'heartbeat',
+        time: performance.timeOrigin + performance.now(),
+        date: Date.now()
+    });
+}
+
+self.addEventListener('message', function(e) {
+    clearInterval(timer);
+    timer = e.data.command === 'start' ? setInterval(beat, e.data.interval) : null;
+});
+
+// Check if any expected functions are missing or modified
+const isSecure = (
+    typeof self.importScripts === 'function' &&
+    typeof self.postMessage === 'function'
+);
+self.postMessage({ type: 'status', status: isSecure ? 'secure' : 'compromised' });
+if (!isSecure) {
+    self.close();
+}